@@ -6,13 +6,44 @@
  * FIXED: Complete <head> translation (Twitter Cards + all SEO meta tags)
  */
 
+import { decodeHTML } from 'entities';
+
 const CONFIG = {
-	ALTIFIED_API: 'https://api.altified.com',
+	ALTIFIED_API: 'https://api.altified.com', // Default, overridden by env.ALTIFIED_BACKEND
 	PLAN_STATUS_ENDPOINT: '/plan-status/',
 	LANGUAGES_ENDPOINT: '/languages/',
+	SLUGS_ENDPOINT: '/slugs/',
+	TRANSLATE_ENDPOINT: '/translate/',
+	TRANSLATE_BATCH_SIZE: 100, // Max texts per /translate/ call from the edge
+	TRANSLATE_PROXY_PATH: '/__altified/translate', // Same-origin endpoint used by the client script
+	GLOSSARY_DEBUG_PATH: '/__altified/glossary', // Local glossary preview, only with GLOSSARY_DEBUG enabled
+	ADMIN_PATH: '/__altified/admin/', // Cache purge and inspection, needs ALTIFIED_ADMIN_SECRET
+	PROXY_MAX_BODY_BYTES: 256 * 1024,
+	PROXY_MAX_TEXTS: 100, // Per request, the client script splits larger batches
+	PROXY_MAX_TEXT_LENGTH: 5000,
 	CACHE_TTL: 3600, // Cache language config for 1 hour
+	STALE_CONFIG_TTL: 86400 * 7, // Keep the last known good project config for a week
+	PAGE_CACHE_TTL: 3600, // Translated pages without origin caching headers
+	PAGE_CACHE_STALE_TTL: 3600, // Served stale while revalidating, unless the origin sets stale-while-revalidate
+	PAGE_CACHE_VERSION: '1', // Bump when a worker change alters translated pages
+	PURGE_LOG_TTL: 86400 * 2, // Admin purges are remembered longer than any translated page is cached
+	PURGE_LOG_MAX: 100,
+	BACKEND_TIMEOUT: 5000, // ms per attempt for config and language calls
+	TRANSLATE_TIMEOUT: 15000, // ms per attempt for /translate/ calls
+	STRUCTURED_DATA_TIMEOUT: 2000, // ms for JSON-LD in client mode, which holds back the rest of <head>
+	BACKEND_RETRIES: 2,
+	BACKEND_RETRY_DELAY: 200, // ms, doubled on every retry
+	CIRCUIT_FAILURE_THRESHOLD: 5, // Consecutive failures before the circuit opens
+	CIRCUIT_COOLDOWN: 30000, // ms to fail fast before trying the API again
+	LANG_COOKIE: 'altified_lang', // Explicit language choice, set by the switcher
+	LANG_COOKIE_MAX_AGE: 86400 * 365,
+	LANG_PARAM: 'altified_lang', // On switcher links: sets the cookie without JS, then redirects without it
+	NO_REDIRECT_PARAM: 'altified_redirect', // ?altified_redirect=0 disables language redirects
 };
 
+// Crawlers must see every language version at its own URL
+const BOT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|embedly|preview|lighthouse|headless/i;
+
 export default {
 	async fetch(request, env, ctx) {
 		try {
@@ -23,42 +54,94 @@ export default {
 				return fetch(request); // Passthrough if no API key
 			}
 
+			// Translation proxy for the client script (keeps the API key server-side)
+			if (url.pathname === CONFIG.TRANSLATE_PROXY_PATH) {
+				return handleTranslateProxy(request, url, env);
+			}
+
+			if (url.pathname.startsWith(CONFIG.ADMIN_PATH)) {
+				return handleAdminRequest(request, url, env);
+			}
+
+			if (url.pathname === CONFIG.GLOSSARY_DEBUG_PATH && getBooleanSetting(env, null, 'GLOSSARY_DEBUG', false)) {
+				return handleGlossaryDebug(url, env);
+			}
+
 			// Fetch project configuration (with caching)
-			const projectConfig = await getProjectConfig(apiKey);
+			const projectConfig = await getProjectConfig(env);
 
 			if (!projectConfig || !projectConfig.target_languages) {
 				return fetch(request); // Passthrough if config fails
 			}
 
-			// Fetch language names (with caching)
-			const languageNames = await getLanguageNames();
+			// Fetch language names and localized slugs (with caching)
+			const [languageNames, slugs] = await Promise.all([getLanguageNames(env), getSlugMappings(env, projectConfig)]);
+
+			const routing = getRouting(env, projectConfig, url);
+			const exclusions = getExclusions(env, projectConfig);
+			const switcher = getSwitcherOptions(env, projectConfig);
+			const formatting = getFormattingOptions(env, projectConfig);
+			const rtl = getRtlOptions(env, projectConfig);
+			const site = { projectConfig, languageNames, slugs, routing, exclusions, switcher, formatting, rtl };
+
+			// A switcher link followed without JS
+			if (url.searchParams.has(CONFIG.LANG_PARAM)) {
+				const choice = handleLanguageChoice(request, url, routing);
+				if (choice) return choice;
+			}
+
+			// Language route (path prefix, subdomain or mapped domain)
+			const route = detectLanguageRoute(routing, url);
+			if (route) {
+				const { lang, path: requestedPath } = route;
+				const originalPath = delocalizePath(slugs, lang, requestedPath);
+
+				if (matchesPathPrefix(originalPath, exclusions.paths)) {
+					return handleExcludedPath(request, url, originalPath, site);
+				}
+
+				// Untranslated slug while a translated one exists, e.g. /es/about-us -> /es/sobre-nosotros,
+				// or another spelling of the language, e.g. /PT-BR/ -> /pt-BR/ (or its alias)
+				const localizedPath = localizePath(slugs, lang, originalPath);
+				const redirect = localizedPath !== requestedPath || !route.canonical;
+				if (redirect && (request.method === 'GET' || request.method === 'HEAD')) {
+					const location = new URL(getLanguageHref(routing, slugs, lang, originalPath), url);
+					location.search = url.search;
+					return Response.redirect(location.toString(), 301);
+				}
 
-			const { default_language, target_languages } = projectConfig;
-			const enabledLanguages = Array.isArray(target_languages) ? target_languages : [];
+				if (isSitemapPath(originalPath)) {
+					return handleSitemapRequest(request, url, lang, originalPath, site);
+				}
 
-			const parts = url.pathname.split('/').filter(Boolean);
-			const firstSegment = parts[0];
+				return handleTranslatedRequest(request, url, lang, originalPath, env, ctx, site);
+			}
 
-			// Language-prefixed route
-			if (enabledLanguages.includes(firstSegment)) {
-				const lang = firstSegment;
-				const originalPath = '/' + parts.slice(1).join('/');
+			// Origin sitemaps get hreflang alternates for every language
+			if (isSitemapPath(url.pathname)) {
+				return handleSitemapRequest(request, url, null, url.pathname, site);
+			}
 
-				return handleTranslatedRequest(request, url, lang, originalPath, env, ctx, projectConfig, languageNames);
+			// Excluded pages stay exactly as the origin serves them
+			if (matchesPathPrefix(url.pathname, exclusions.paths)) {
+				return fetch(request);
 			}
 
 			// Default: passthrough + inject switcher + AUTO LANGUAGE DETECTION
-			return handleDefaultLanguagePage(request, env, ctx, projectConfig, languageNames);
+			return handleDefaultLanguagePage(request, env, ctx, site);
 		} catch (error) {
 			return fetch(request); // Passthrough on any error
 		}
 	},
 };
 
-// Fetch project configuration from API with caching
-async function getProjectConfig(apiKey) {
+// Fetch project configuration from API with caching.
+// Falls back to the last known good copy when the API is unreachable.
+async function getProjectConfig(env) {
+	const apiKey = env.ALTIFIED_API_KEY;
+	const { config: cacheKey, lastGoodConfig: lastGoodKey } = getInternalCacheKeys(env);
+
 	try {
-		const cacheKey = new Request(`https://cache.internal/project_config_${apiKey}`);
 		const cache = caches.default;
 
 		// Try to get from cache
@@ -72,42 +155,83 @@ async function getProjectConfig(apiKey) {
 		}
 
 		// Fetch from API
-		const response = await fetch(`${CONFIG.ALTIFIED_API}${CONFIG.PLAN_STATUS_ENDPOINT}?api_key=${apiKey}`, {
+		const response = await fetchBackend(env, `${CONFIG.PLAN_STATUS_ENDPOINT}?api_key=${apiKey}`, {
 			headers: {
 				Accept: 'application/json',
 			},
 		});
 
+		// Server errors are outages, client errors (e.g. revoked key) are answers
+		if (response.status >= 500) {
+			return getLastKnownGoodConfig(lastGoodKey);
+		}
+
 		if (!response.ok) {
 			return null;
 		}
 
 		const data = await response.json();
 
-		// Cache the response
+		// Cache the response, plus a long-lived copy for outages
 		try {
-			const cacheResponse = new Response(JSON.stringify(data), {
-				headers: {
-					'Content-Type': 'application/json',
-					'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`,
-				},
-			});
+			const body = JSON.stringify(data);
 
-			await cache.put(cacheKey, cacheResponse);
+			await Promise.all([
+				cache.put(
+					cacheKey,
+					new Response(body, {
+						headers: {
+							'Content-Type': 'application/json',
+							'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`,
+						},
+					}),
+				),
+				cache.put(
+					lastGoodKey,
+					new Response(body, {
+						headers: {
+							'Content-Type': 'application/json',
+							'Cache-Control': `public, max-age=${CONFIG.STALE_CONFIG_TTL}`,
+						},
+					}),
+				),
+			]);
 		} catch (e) {
 			// Failed to cache
 		}
 
 		return data;
 	} catch (error) {
+		return getLastKnownGoodConfig(lastGoodKey);
+	}
+}
+
+async function getLastKnownGoodConfig(lastGoodKey) {
+	try {
+		const cachedResponse = await caches.default.match(lastGoodKey);
+		return cachedResponse ? await cachedResponse.json() : null;
+	} catch (e) {
 		return null;
 	}
 }
 
+// Keys of the worker's own entries in caches.default
+function getInternalCacheKeys(env) {
+	const apiKey = env.ALTIFIED_API_KEY;
+
+	return {
+		config: new Request(`https://cache.internal/project_config_${apiKey}`),
+		lastGoodConfig: new Request(`https://cache.internal/project_config_last_good_${apiKey}`),
+		languageNames: new Request('https://cache.internal/language_names'),
+		slugs: new Request(`https://cache.internal/slugs_${apiKey}`),
+		purges: new Request(`https://cache.internal/purges_${apiKey}`),
+	};
+}
+
 // Fetch language names from API with caching
-async function getLanguageNames() {
+async function getLanguageNames(env) {
 	try {
-		const cacheKey = new Request(`https://cache.internal/language_names`);
+		const cacheKey = getInternalCacheKeys(env).languageNames;
 		const cache = caches.default;
 
 		// Try to get from cache
@@ -121,7 +245,7 @@ async function getLanguageNames() {
 		}
 
 		// Fetch from API
-		const response = await fetch(`${CONFIG.ALTIFIED_API}${CONFIG.LANGUAGES_ENDPOINT}`, {
+		const response = await fetchBackend(env, CONFIG.LANGUAGES_ENDPOINT, {
 			headers: {
 				Accept: 'application/json',
 			},
@@ -163,206 +287,2948 @@ async function getLanguageNames() {
 	}
 }
 
-async function handleTranslatedRequest(request, url, lang, originalPath, env, ctx, projectConfig, languageNames) {
-	const cache = caches.default;
+/* ----------------------------------------
+   LOCALIZED SLUGS
+   Per-language path mappings, e.g. /about-us <-> /es/sobre-nosotros.
+   Keys starting with "/" map whole paths, others map single segments
+----------------------------------------- */
+
+// Returns { es: { paths, segments, reversePaths, reverseSegments }, ... }
+async function getSlugMappings(env, projectConfig) {
+	const mappings = await fetchSlugMappings(env);
 
-	const cacheKey = new Request(url.toString(), {
-		method: 'GET',
-		headers: { 'X-Lang': lang },
+	// Manual overrides: { "es": { "/about-us": "/sobre-nosotros", "blog": "noticias" } }
+	const overrides = getJsonSetting(env, projectConfig, 'SLUG_OVERRIDES');
+
+	// Keyed by the configured codes, whatever case the API or the overrides use
+	const languages = [projectConfig.default_language || 'en', ...(projectConfig.target_languages || [])];
+	const merged = {};
+	[mappings, overrides].forEach((source) => {
+		Object.entries(source).forEach(([code, map]) => {
+			const lang = findLanguage(languages, code) || code;
+			merged[lang] = { ...merged[lang], ...map };
+		});
 	});
 
-	const cached = await cache.match(cacheKey);
-	if (cached) return new Response(cached.body, cached);
+	const slugs = {};
+	Object.entries(merged).forEach(([lang, map]) => {
+		slugs[lang] = buildSlugIndex(map);
+	});
 
-	try {
-		// 1. Fetch original page
-		const originUrl = new URL(request.url);
-		originUrl.pathname = originalPath || '/';
+	return slugs;
+}
 
-		const response = await fetch(originUrl.toString());
+// Fetch slug mappings from API with caching
+async function fetchSlugMappings(env) {
+	const apiKey = env.ALTIFIED_API_KEY;
 
-		if (!response.ok) return response;
+	try {
+		const cacheKey = getInternalCacheKeys(env).slugs;
+		const cache = caches.default;
 
-		const contentType = response.headers.get('Content-Type') || '';
+		// Try to get from cache
+		try {
+			const cachedResponse = await cache.match(cacheKey);
+			if (cachedResponse) {
+				return await cachedResponse.json();
+			}
+		} catch (e) {
+			// Cache miss
+		}
 
-		if (!contentType.includes('html')) {
-			return response;
+		// Fetch from API
+		const response = await fetchBackend(env, `${CONFIG.SLUGS_ENDPOINT}?api_key=${apiKey}`, {
+			headers: {
+				Accept: 'application/json',
+			},
+		});
+
+		// Outages are retried on the next request, other errors mean "no slugs" and are cached
+		if (response.status >= 500) {
+			return {};
 		}
 
-		let html = await response.text();
+		const data = response.ok ? await response.json() : {};
 
-		// 2. Inject auto-translation script
-		html = injectAutoTranslation(html, lang, env.ALTIFIED_API_KEY);
+		// Convert array to object: { "es": { "/about-us": "/sobre-nosotros" }, ... }
+		const slugMap = {};
+		if (data.slugs && Array.isArray(data.slugs)) {
+			data.slugs.forEach((slug) => {
+				if (slug.language && slug.original && slug.translated) {
+					slugMap[slug.language] = slugMap[slug.language] || {};
+					slugMap[slug.language][slug.original] = slug.translated;
+				}
+			});
+		}
 
-		// 3. Add metadata
-		html = injectLanguageContext(html, lang);
-		html = addHreflangLinks(html, originUrl.pathname, projectConfig, env.DOMAIN);
-		html = injectLanguageSwitcher(html, projectConfig, languageNames);
+		// Cache the response
+		try {
+			const cacheResponse = new Response(JSON.stringify(slugMap), {
+				headers: {
+					'Content-Type': 'application/json',
+					'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`,
+				},
+			});
 
-		const finalResponse = new Response(html, {
-			status: response.status,
-			statusText: response.statusText,
-			headers: new Headers(response.headers),
-		});
-		finalResponse.headers.set('Content-Language', lang);
-		finalResponse.headers.set('Cache-Control', 'public, max-age=3600');
+			await cache.put(cacheKey, cacheResponse);
+		} catch (e) {
+			// Failed to cache
+		}
 
-		ctx.waitUntil(cache.put(cacheKey, finalResponse.clone()));
-		return finalResponse;
+		return slugMap;
 	} catch (error) {
-		return fetch(request);
+		return {};
 	}
 }
 
-async function handleDefaultLanguagePage(request, env, ctx, projectConfig, languageNames) {
+function buildSlugIndex(entries) {
+	const index = { paths: {}, segments: {}, reversePaths: {}, reverseSegments: {} };
+
+	Object.entries(entries).forEach(([original, translated]) => {
+		if (typeof translated !== 'string' || !translated) return;
+
+		if (original.startsWith('/')) {
+			const from = trimTrailingSlash(original);
+			const to = trimTrailingSlash(translated.startsWith('/') ? translated : '/' + translated);
+			index.paths[from] = to;
+			index.reversePaths[to] = from;
+		} else {
+			index.segments[original] = translated;
+			index.reverseSegments[translated] = original;
+		}
+	});
+
+	return index;
+}
+
+// Origin path -> translated path for `lang`
+function localizePath(slugs, lang, path) {
+	const index = slugs[lang];
+	return index ? mapPath(path, index.paths, index.segments) : path;
+}
+
+// Translated path for `lang` -> origin path
+function delocalizePath(slugs, lang, path) {
+	const index = slugs[lang];
+	return index ? mapPath(path, index.reversePaths, index.reverseSegments) : path;
+}
+
+function mapPath(path, paths, segments) {
+	let decoded;
 	try {
-		const response = await fetch(request);
-		const contentType = response.headers.get('Content-Type') || '';
+		decoded = decodeURI(path);
+	} catch (e) {
+		return path;
+	}
 
-		if (!contentType.includes('html')) {
-			return response;
+	const key = trimTrailingSlash(decoded);
+	const mapped = Object.hasOwn(paths, key)
+		? paths[key]
+		: key
+				.split('/')
+				.map((segment) => (Object.hasOwn(segments, segment) ? segments[segment] : segment))
+				.join('/');
+
+	const result = mapped !== '/' && decoded.endsWith('/') ? mapped + '/' : mapped;
+	return result === decoded ? path : encodeURI(result);
+}
+
+function trimTrailingSlash(path) {
+	return path.length > 1 ? path.replace(/\/+$/, '') || '/' : path;
+}
+
+/* ----------------------------------------
+   LANGUAGE ROUTING
+   "path" (/es/about), "subdomain" (es.example.com/about)
+   or "domain" (example.de/about, one host per language)
+----------------------------------------- */
+function getRouting(env, projectConfig, url) {
+	const strategy = String(getSetting(env, projectConfig, 'ROUTING_STRATEGY') || 'path').toLowerCase();
+	const domain = (env.DOMAIN || '').trim();
+	const defaultHost = (domain.replace(/^https?:\/\//, '').split('/')[0] || url.host).toLowerCase();
+
+	// { "de": "example.de", "fr": "example.fr" }
+	const domains = getJsonSetting(env, projectConfig, 'ROUTING_DOMAINS');
+
+	const normalizedDomains = {};
+	Object.entries(domains).forEach(([lang, host]) => {
+		if (typeof host === 'string' && host) {
+			normalizedDomains[lang] = host
+				.replace(/^https?:\/\//, '')
+				.split('/')[0]
+				.toLowerCase();
 		}
+	});
+
+	const targetLangs = Array.isArray(projectConfig.target_languages) ? projectConfig.target_languages : [];
+
+	// { "br": "pt-BR" }: URL segment (or subdomain) of a language instead of its code
+	const aliases = {};
+	Object.entries(getJsonSetting(env, projectConfig, 'LANGUAGE_ALIASES')).forEach(([alias, code]) => {
+		const lang = findLanguage(targetLangs, code);
+		if (lang && !aliases[lang] && /^[a-z\d-]+$/i.test(alias) && !findLanguage(targetLangs, alias)) aliases[lang] = alias;
+	});
+
+	return {
+		strategy: ['subdomain', 'domain'].includes(strategy) ? strategy : 'path',
+		protocol: domain ? (domain.startsWith('http://') ? 'http:' : 'https:') : url.protocol,
+		defaultHost,
+		baseHost: defaultHost.replace(/^www\./, ''),
+		domains: normalizedDomains,
+		defaultLang: projectConfig.default_language || 'en',
+		targetLangs,
+		aliases,
+	};
+}
+
+// Returns { lang, path, canonical } for a language route, null for the default language.
+// Path segments match codes in any case and aliases: /pt-br/ and /PT-BR/ are pt-BR, but not canonical.
+function detectLanguageRoute(routing, url) {
+	if (routing.strategy === 'path') {
+		// The rest of the path stays as sent, trailing slash included: origins that enforce
+		// one would otherwise redirect back to the same URL
+		const [, segment, rest] = url.pathname.match(/^\/*([^/]*)(.*)$/);
+		const lang = routing.targetLangs.find(
+			(l) => l.toLowerCase() === segment.toLowerCase() || getLanguageSegment(routing, l).toLowerCase() === segment.toLowerCase(),
+		);
+
+		return lang ? { lang, path: rest || '/', canonical: segment === getLanguageSegment(routing, lang) } : null;
+	}
+
+	const host = url.host.toLowerCase();
+	const lang = routing.targetLangs.find((l) => l !== routing.defaultLang && getLanguageHost(routing, l) === host);
+
+	return lang ? { lang, path: url.pathname, canonical: true } : null;
+}
+
+// Configured code matching `code` in any case ("pt-br" -> "pt-BR"), undefined if none
+function findLanguage(languages, code) {
+	const wanted = String(code || '').toLowerCase();
+	return languages.find((lang) => String(lang).toLowerCase() === wanted);
+}
+
+// What stands for a language in URLs: its alias or its code
+function getLanguageSegment(routing, lang) {
+	return routing.aliases?.[lang] || lang;
+}
+
+function getLanguageHost(routing, lang) {
+	if (lang === routing.defaultLang) return routing.defaultHost;
+	if (routing.strategy === 'subdomain') return `${getLanguageSegment(routing, lang).toLowerCase()}.${routing.baseHost}`;
+	if (routing.strategy === 'domain') return routing.domains[lang] || routing.defaultHost;
+	return routing.defaultHost;
+}
 
-		let html = await response.text();
+// Path of the page in `lang`: the origin path for the default language, localized otherwise
+function getLanguagePath(routing, slugs, lang, pathname) {
+	if (lang === routing.defaultLang) return pathname;
 
-		// Inject auto language detection script
-		html = injectAutoLanguageDetection(html, projectConfig);
+	const localized = localizePath(slugs, lang, pathname);
+	return routing.strategy === 'path' ? `/${getLanguageSegment(routing, lang)}${localized}` : localized;
+}
+
+// Absolute URL of the page in `lang` (hreflang, sitemaps)
+function getLanguageUrl(routing, slugs, lang, pathname) {
+	return `${routing.protocol}//${getLanguageHost(routing, lang)}${getLanguagePath(routing, slugs, lang, pathname)}`;
+}
+
+// Default language first, then the targets (without duplicates)
+function getAllLanguages(routing) {
+	return [...new Set([routing.defaultLang, ...routing.targetLangs])];
+}
+
+// The incoming request with only the URL changed: method, headers (cookies, client IP,
+// conditional headers), body and redirect mode are kept
+function createOriginRequest(request, originUrl) {
+	const url = new URL(request.url);
+	const originRequest = new Request(originUrl.toString(), request);
+	const headers = originRequest.headers;
+
+	if (url.host !== originUrl.host) headers.set('X-Forwarded-Host', url.host);
+	if (!headers.has('X-Forwarded-Proto')) headers.set('X-Forwarded-Proto', url.protocol.slice(0, -1));
+
+	const clientIp = headers.get('CF-Connecting-IP');
+	if (clientIp && !headers.has('X-Forwarded-For')) headers.set('X-Forwarded-For', clientIp);
+
+	return originRequest;
+}
+
+// Origin URL (absolute or relative to `baseUrl`) -> the same page in `lang`, absolute when `value` was.
+// External URLs, excluded paths, downloads and URLs already on a language route are returned unchanged.
+function localizeOriginUrl(value, baseUrl, lang, site) {
+	const { slugs, routing, exclusions } = site;
+
+	let target;
+	try {
+		target = new URL(value, baseUrl);
+	} catch (e) {
+		return value;
+	}
+
+	const internalHosts = [routing.defaultHost, baseUrl.host.toLowerCase()];
+	if (!/^https?:$/.test(target.protocol) || !internalHosts.includes(target.host.toLowerCase())) return value;
+	if (ASSET_PATH_PATTERN.test(target.pathname) || matchesPathPrefix(target.pathname, [...exclusions.paths, ...exclusions.links])) {
+		return value;
+	}
+	if (detectLanguageRoute(routing, target)) return value;
 
-		// Inject language switcher on default language pages too
-		html = injectLanguageSwitcher(html, projectConfig, languageNames);
+	const absolute = /^([a-z][a-z\d+.-]*:|\/\/)/i.test(value.trim());
+	const localized = absolute
+		? getLanguageUrl(routing, slugs, lang, target.pathname)
+		: getLanguageHref(routing, slugs, lang, target.pathname);
 
-		return new Response(html, {
-			status: response.status,
-			statusText: response.statusText,
-			headers: response.headers,
+	return localized + target.search + target.hash;
+}
+
+// "5; url=/login" -> "5; url=/es/login"
+function localizeRefresh(value, baseUrl, lang, site) {
+	return value.replace(/(;\s*url\s*=\s*)(['"]?)([^'"]+)\2/i, (match, prefix, quote, target) => {
+		return prefix + quote + localizeOriginUrl(target.trim(), baseUrl, lang, site) + quote;
+	});
+}
+
+// Location, Refresh and Set-Cookie paths of an origin response, rewritten into the language route
+function localizeOriginHeaders(response, originUrl, lang, site) {
+	const location = response.headers.get('Location');
+	const refresh = response.headers.get('Refresh');
+	const cookies = response.headers.getSetCookie();
+
+	if (!location && !refresh && cookies.length === 0) return response;
+
+	const localized = new Response(response.body, response);
+	const headers = localized.headers;
+
+	if (location) headers.set('Location', localizeOriginUrl(location, originUrl, lang, site));
+
+	if (refresh) headers.set('Refresh', localizeRefresh(refresh, originUrl, lang, site));
+
+	// Cookies scoped to a page follow it to its language path, "Path=/" stays site-wide
+	if (cookies.length > 0 && site.routing.strategy === 'path') {
+		headers.delete('Set-Cookie');
+		cookies.forEach((cookie) => {
+			headers.append(
+				'Set-Cookie',
+				cookie.replace(/(;\s*path\s*=\s*)([^;]*)/i, (match, prefix, path) => {
+					const clean = path.trim();
+					return clean.startsWith('/') && clean !== '/' ? prefix + localizeOriginUrl(clean, originUrl, lang, site) : match;
+				}),
+			);
 		});
-	} catch (error) {
-		return fetch(request);
 	}
+
+	return localized;
+}
+
+function withoutConditionalHeaders(request) {
+	const copy = new Request(request);
+	['If-None-Match', 'If-Modified-Since', 'If-Range'].forEach((name) => copy.headers.delete(name));
+
+	return copy;
+}
+
+// Where a language route is served from: the default-language page on the default host
+function getOriginUrl(request, routing, originalPath) {
+	const originUrl = new URL(request.url);
+	originUrl.pathname = originalPath || '/';
+	if (routing.strategy !== 'path') originUrl.host = routing.defaultHost;
+
+	return originUrl;
+}
+
+// Link target for navigation: root-relative with path routing, absolute when the host changes
+function getLanguageHref(routing, slugs, lang, pathname) {
+	return routing.strategy === 'path' ? getLanguagePath(routing, slugs, lang, pathname) : getLanguageUrl(routing, slugs, lang, pathname);
 }
 
 /* ----------------------------------------
-   INJECT AUTO LANGUAGE DETECTION SCRIPT
-   Detects browser language and navigates to appropriate path
+   EXCLUSIONS
+   Paths that are never translated and selectors
+   whose content stays in the source language
 ----------------------------------------- */
-function injectAutoLanguageDetection(html, projectConfig) {
-	if (html.includes('__ALTIFIED_AUTO_LANG_DETECT__')) return html;
+function getExclusions(env, projectConfig) {
+	const action = String(getSetting(env, projectConfig, 'EXCLUDED_PATH_ACTION') || 'redirect').toLowerCase();
 
-	const defaultLang = projectConfig.default_language || 'en';
-	const targetLangs = JSON.stringify(projectConfig.target_languages || []);
+	return {
+		paths: getListSetting(env, projectConfig, 'EXCLUDED_PATHS'),
+		// Formatted values (see LOCALE FORMATTING) aren't text to translate either
+		selectors: [...getListSetting(env, projectConfig, 'EXCLUDED_SELECTORS'), FORMAT_SELECTOR],
+		links: getListSetting(env, projectConfig, 'URL_REWRITE_EXCLUDE'),
+		action: action === 'skip' ? 'skip' : 'redirect',
+	};
+}
 
-	const script = `
-<script id="__ALTIFIED_AUTO_LANG_DETECT__">
-(function() {
-  // Check if we've already done language detection this session
-  if (sessionStorage.getItem('altified_lang_detected')) {
-    return;
-  }
+// Language route of an excluded path: redirect to the default language,
+// or serve the origin page untranslated ("skip", and always for non-GET requests such as form posts)
+async function handleExcludedPath(request, url, originalPath, site) {
+	const { slugs, routing, exclusions } = site;
 
-  // Get browser language (e.g., "en-US" -> "en", "fr-FR" -> "fr")
-  var browserLang = navigator.language || navigator.userLanguage;
-  var langCode = browserLang.split('-')[0].toLowerCase();
+	if (exclusions.action === 'redirect' && (request.method === 'GET' || request.method === 'HEAD')) {
+		const location = new URL(getLanguageHref(routing, slugs, routing.defaultLang, originalPath), url);
+		location.search = url.search;
+		return Response.redirect(location.toString(), 302);
+	}
 
-  // Available target languages
-  var targetLanguages = ${targetLangs};
-  var defaultLanguage = '${defaultLang}';
+	return fetch(createOriginRequest(request, getOriginUrl(request, routing, originalPath)));
+}
 
-  // Mark as detected to avoid loops
-  sessionStorage.setItem('altified_lang_detected', 'true');
+/* ----------------------------------------
+   SETTINGS
+   Project config (snake_case) wins over env vars (UPPER_CASE)
+----------------------------------------- */
+function getSetting(env, projectConfig, name) {
+	return projectConfig?.[name.toLowerCase()] ?? env?.[name];
+}
 
-  // If browser language matches a target language (and it's not the default)
-  if (targetLanguages.includes(langCode) && langCode !== defaultLanguage) {
-    var currentPath = window.location.pathname;
-    var newPath = '/' + langCode + currentPath;
-    
-    // Navigate to the language-specific path
-    window.location.href = newPath + window.location.search + window.location.hash;
-  }
-  // Otherwise, stay on default language (do nothing)
-})();
-</script>
-`;
+// Arrays from project config, comma-separated strings from env
+function getListSetting(env, projectConfig, name) {
+	const value = getSetting(env, projectConfig, name);
+
+	if (Array.isArray(value)) return value;
+	if (typeof value === 'string') {
+		return value
+			.split(',')
+			.map((item) => item.trim())
+			.filter(Boolean);
+	}
+	return [];
+}
+
+// Objects from project config, JSON strings from env. Invalid JSON counts as unset.
+function getJsonSetting(env, projectConfig, name) {
+	const value = getSetting(env, projectConfig, name);
+
+	if (typeof value === 'string') {
+		try {
+			const parsed = JSON.parse(value);
+			return parsed && typeof parsed === 'object' ? parsed : {};
+		} catch (e) {
+			return {};
+		}
+	}
+	return value && typeof value === 'object' ? value : {};
+}
+
+function getNumberSetting(env, projectConfig, name, fallback) {
+	const value = getSetting(env, projectConfig, name);
 
-	return html.replace(/<head[^>]*>/, (match) => match + script);
+	if (value === undefined || value === null || value === '') return fallback;
+	const number = Number(value);
+	return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+function getBooleanSetting(env, projectConfig, name, fallback) {
+	const value = getSetting(env, projectConfig, name);
+
+	if (value === undefined || value === null || value === '') return fallback;
+	if (typeof value === 'boolean') return value;
+	return !['false', '0', 'off', 'no'].includes(String(value).toLowerCase());
 }
 
 /* ----------------------------------------
-   INJECT AUTO-TRANSLATION SCRIPT
-   IMPROVED: Loading spinner + sequential translation
-   FIXED: Complete <head> translation including Twitter Cards
+   BACKEND ACCESS
+   Timeouts, retries with backoff and a circuit breaker
+   around every call to the Altified API
 ----------------------------------------- */
-function injectAutoTranslation(html, lang, apiKey) {
-	if (html.includes('__ALTIFIED_AUTO_TRANSLATE__')) return html;
 
-	const script = `
-<style id="__ALTIFIED_BLUR__">
-  html {
-    filter: blur(8px);
-    opacity: 0.6;
-    transition: filter 0.3s ease-out, opacity 0.3s ease-out;
-  }
-  
-  html.altified-translated {
-    filter: none;
-    opacity: 1;
-  }
-</style>
+// Per-isolate state: an outage seen by one request spares the next ones the wait
+const circuit = { failures: 0, openUntil: 0 };
 
-<script id="__ALTIFIED_AUTO_TRANSLATE__">
-(function() {
-  window.__ALTIFIED_LANG__ = '${lang}';
-  window.__ALTIFIED_API_KEY__ = '${apiKey}';
-  
-  const translationCache = new Map();
-  const translatedNodes = new WeakSet();
-  let isTranslating = false;
-  
-  // Initialize
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
-  }
-  
-  function init() {
-    rewriteInternalLinks();
-    translateAllContent();
-    startObserver();
-  }
-  
-  function removeBlur() {
-    document.documentElement.classList.add('altified-translated');
-    // Remove blur style after transition completes
-    setTimeout(function() {
-      var blurStyle = document.getElementById('__ALTIFIED_BLUR__');
-      if (blurStyle) blurStyle.remove();
-    }, 300);
-  }
-  
-  // Parallel translation: head and visible body at the same time (FASTEST)
-  async function translateAllContent() {
-    if (isTranslating) return;
-    isTranslating = true;
-    
-    try {
-      // Translate head and visible body content in PARALLEL
-      await Promise.all([
-        translateContent(document.head),
-        translateVisibleContent(document.body)
-      ]);
-      
-      // Remove blur after both are done
-      removeBlur();
-      
-      // Translate remaining below-the-fold content in background
-      await translateBelowFoldContent(document.body);
+function getApiBase(env) {
+	return (env.ALTIFIED_BACKEND || CONFIG.ALTIFIED_API).replace(/\/+$/, '');
+}
+
+// fetch() against the Altified API. Network errors, timeouts, 429 and 5xx are retried;
+// throws when the circuit is open or the last attempt fails to connect.
+async function fetchBackend(env, path, init = {}, { timeout = CONFIG.BACKEND_TIMEOUT, retries = CONFIG.BACKEND_RETRIES } = {}) {
+	if (Date.now() < circuit.openUntil) {
+		throw new Error('Altified API circuit open');
+	}
+
+	for (let attempt = 0; ; attempt++) {
+		try {
+			const response = await fetch(`${getApiBase(env)}${path}`, {
+				...init,
+				signal: AbortSignal.timeout(timeout),
+			});
+
+			const retryable = response.status === 429 || response.status >= 500;
+
+			if (!retryable) {
+				recordBackendResult(true);
+				return response;
+			}
+
+			if (attempt >= retries) {
+				recordBackendResult(false);
+				return response;
+			}
+
+			await response.body?.cancel();
+		} catch (error) {
+			if (attempt >= retries) {
+				recordBackendResult(false);
+				throw error;
+			}
+		}
+
+		await new Promise((resolve) => setTimeout(resolve, CONFIG.BACKEND_RETRY_DELAY * 2 ** attempt));
+	}
+}
+
+function recordBackendResult(ok) {
+	if (ok) {
+		circuit.failures = 0;
+		circuit.openUntil = 0;
+		return;
+	}
+
+	circuit.failures++;
+	if (circuit.failures >= CONFIG.CIRCUIT_FAILURE_THRESHOLD) {
+		circuit.openUntil = Date.now() + CONFIG.CIRCUIT_COOLDOWN;
+	}
+}
+
+async function handleTranslatedRequest(request, url, lang, originalPath, env, ctx, site) {
+	const policy = await getPageCachePolicy(request, url, env, site);
+
+	// A page that goes into the cache needs the full body, not a 304
+	const originRequest = policy ? withoutConditionalHeaders(request) : request;
+
+	if (policy) {
+		const cached = await matchPageCache(policy.key, lang, originalPath, env);
+		if (cached) {
+			const { response, stale } = serveCachedPage(cached);
+
+			// Serve the stale copy right away, one request per isolate refreshes it
+			if (stale && !revalidating.has(policy.key.url)) {
+				revalidating.add(policy.key.url);
+				ctx.waitUntil(
+					renderTranslatedPage(originRequest, lang, originalPath, env, site)
+						.then(({ response: fresh, cacheable }) => cacheable && storePageCache(policy, fresh))
+						.catch(() => {})
+						.finally(() => revalidating.delete(policy.key.url)),
+				);
+			}
+			return response;
+		}
+	}
+
+	try {
+		const rendered = await renderTranslatedPage(originRequest, lang, originalPath, env, site);
+		const response = new Response(rendered.response.body, rendered.response);
+
+		if (policy && rendered.cacheable) {
+			ctx.waitUntil(storePageCache(policy, response.clone()));
+		}
+		response.headers.set('X-Altified-Cache', policy ? 'MISS' : 'BYPASS');
+		return response;
+	} catch (error) {
+		return fetch(request);
+	}
+}
+
+// Fetches the origin page and translates it. `cacheable` is false for responses
+// that must not be stored (errors, passthrough content, incomplete edge translation).
+async function renderTranslatedPage(request, lang, originalPath, env, site) {
+	const { projectConfig, slugs, routing } = site;
+
+	// 1. Fetch original page. Redirects and cookies are pointed to the language route,
+	// error pages are translated like any other page.
+	const originUrl = getOriginUrl(request, routing, originalPath);
+
+	const response = localizeOriginHeaders(await fetch(createOriginRequest(request, originUrl)), originUrl, lang, site);
+
+	if ((response.status >= 300 && response.status < 400) || request.method === 'OPTIONS') {
+		return { response, cacheable: false };
+	}
+
+	const contentType = response.headers.get('Content-Type') || '';
+	const glossary = getGlossary(env, projectConfig, lang);
+
+	// JSON APIs are only translated on routes with rules
+	const jsonRules = isJsonContentType(contentType) ? getJsonTranslationRules(env, projectConfig, originUrl.pathname) : null;
+	if (jsonRules) {
+		const { response: translated, complete } = await translateJsonResponse(response, jsonRules, lang, env, glossary);
+		translated.headers.set('Content-Language', lang);
+
+		return { response: translated, cacheable: complete };
+	}
+
+	if (!contentType.includes('html')) {
+		return { response, cacheable: false };
+	}
+
+	// Same headers as the translated GET response, without a body to translate
+	if (request.method === 'HEAD') {
+		const head = new Response(null, response);
+		head.headers.delete('Content-Length');
+		head.headers.set('Content-Language', lang);
+		return { response: head, cacheable: false };
+	}
+
+	const rewriter = new HTMLRewriter();
+	let source = response;
+
+	// 2. Translate at the edge when enabled, otherwise leave it to the client script.
+	// Edge translation needs every string up front, so only this mode buffers the page.
+	const edgeMode = getTranslationMode(env, projectConfig) === 'edge';
+	const jsonLdFields = getJsonLdFields(env, projectConfig);
+	let edgeTranslated = false;
+	// Translated while the page streams: a slow API must not stall it, untranslated blocks are kept
+	let translateStructuredData = async (texts) =>
+		(await fetchTranslations(texts, lang, env, glossary, { timeout: CONFIG.STRUCTURED_DATA_TIMEOUT, retries: 0 })).translations;
+	if (edgeMode) {
+		const { translations, complete, html, renderedBlocks } = await fetchPageTranslations(await response.text(), lang, env, {
+			jsonLdFields,
+			excludedSelectors: site.exclusions.selectors,
+			glossary,
+		});
+
+		handleTranslatableContent(rewriter, (text) => translations.get(text), site.exclusions.selectors, renderedBlocks);
+		translateStructuredData = async () => translations;
+		edgeTranslated = complete;
+		source = new Response(html, response);
+	}
+
+	// Structured data is read by crawlers, so it is translated here in both modes
+	handleStructuredData(rewriter, jsonLdFields, translateStructuredData, (value) => localizeStructuredDataUrl(value, lang, site, originUrl));
+
+	// Links, forms and redirects point to this language
+	rewritePageUrls(rewriter, originUrl, lang, site);
+
+	// Numbers, dates and prices in this language's format
+	formatLocaleValues(rewriter, lang, site);
+
+	// 3. Inject auto-translation script (only handles late content after edge translation)
+	injectAutoTranslation(rewriter, lang, {
+		edgeTranslated,
+		slugIndex: slugs[lang],
+		langPrefix: routing.strategy === 'path' ? `/${getLanguageSegment(routing, lang)}` : '',
+		exclusions: site.exclusions,
+		defaultHost: routing.defaultHost,
+		defaultLang: routing.defaultLang,
+		formatting: site.formatting,
+	});
+
+	// 4. Add metadata
+	injectLanguageContext(rewriter, lang, site, originUrl.pathname);
+	manageTextDirection(rewriter, lang, site);
+	manageSeoHead(rewriter, response, originUrl.pathname, lang, site);
+	injectLanguageSwitcher(rewriter, site, originUrl.pathname, lang);
+
+	const finalResponse = transformHtmlResponse(source, rewriter);
+	finalResponse.headers.set('Content-Language', lang);
+
+	// Don't cache a client-side fallback so the next request retries edge translation
+	return { response: finalResponse, cacheable: !edgeMode || edgeTranslated };
+}
+
+async function handleDefaultLanguagePage(request, env, ctx, site) {
+	const { projectConfig, slugs, routing } = site;
+
+	try {
+		const url = new URL(request.url);
+		const negotiate = shouldNegotiateLanguage(request, env, projectConfig);
+
+		// Send visitors to their preferred language before the default page loads
+		if (negotiate) {
+			const lang = negotiateLanguage(request, projectConfig);
+			if (lang) return languageRedirect(url, lang, routing, slugs);
+		}
+
+		const response = await fetch(request);
+		const contentType = response.headers.get('Content-Type') || '';
+
+		if (!contentType.includes('html')) {
+			return response;
+		}
+
+		const rewriter = new HTMLRewriter();
+
+		// hreflang and og:locale alternates must be reciprocal, so default pages get them too
+		manageSeoHead(rewriter, response, url.pathname, routing.defaultLang, site);
+
+		// The public API and the language switcher are on default language pages too
+		injectLanguageContext(rewriter, routing.defaultLang, site, url.pathname);
+		injectLanguageSwitcher(rewriter, site, url.pathname, routing.defaultLang);
+
+		const finalResponse = transformHtmlResponse(response, rewriter);
+		if (negotiate) addVary(finalResponse.headers, ['Accept-Language', 'Cookie']);
+
+		return finalResponse;
+	} catch (error) {
+		return fetch(request);
+	}
+}
+
+/* ----------------------------------------
+   MULTILINGUAL SITEMAPS
+   Adds hreflang alternates to the origin's sitemaps and serves
+   per-language copies (/es/sitemap.xml), streaming both
+----------------------------------------- */
+function isSitemapPath(pathname) {
+	return /\/[^/]*sitemap[^/]*\.xml$/i.test(pathname);
+}
+
+// `lang` is null for the origin sitemap, a target language for its translated copy
+async function handleSitemapRequest(request, url, lang, originalPath, site) {
+	try {
+		const response = lang ? await fetch(getOriginUrl(request, site.routing, originalPath).toString()) : await fetch(request);
+		const contentType = response.headers.get('Content-Type') || '';
+
+		if (!response.ok || !contentType.includes('xml')) {
+			return response;
+		}
+
+		const rewriter = rewriteSitemap(new HTMLRewriter(), lang, site, url.host);
+		return transformHtmlResponse(response, rewriter);
+	} catch (error) {
+		return fetch(request);
+	}
+}
+
+function rewriteSitemap(rewriter, lang, site, requestHost) {
+	const { slugs, routing, exclusions } = site;
+	const languages = getAllLanguages(routing);
+	const internalHosts = [routing.defaultHost, requestHost.toLowerCase()];
+
+	let entry = null;
+	let buffer = '';
+
+	// Origin path + query of an internal <loc>, null for external URLs and excluded pages
+	const parseLoc = (raw) => {
+		try {
+			const locUrl = new URL(decodeEntities(raw.trim()));
+			const internal = internalHosts.includes(locUrl.host.toLowerCase());
+			return internal && !matchesPathPrefix(locUrl.pathname, exclusions.paths) ? locUrl : null;
+		} catch (e) {
+			return null;
+		}
+	};
+
+	const languageUrl = (l, locUrl) => getLanguageUrl(routing, slugs, l, locUrl.pathname) + locUrl.search;
+
+	return rewriter
+		.on('urlset', {
+			element(el) {
+				el.setAttribute('xmlns:xhtml', 'http://www.w3.org/1999/xhtml');
+			},
+		})
+		.on('url', {
+			element(el) {
+				entry = { locUrl: null, existing: new Set() };
+				const current = entry;
+
+				el.onEndTag((end) => {
+					if (!current.locUrl) return;
+
+					// Merge with alternates the origin already lists
+					const alternates = [...languages, 'x-default']
+						.filter((l) => !current.existing.has(l.toLowerCase()))
+						.map((l) => {
+							const href = languageUrl(l === 'x-default' ? routing.defaultLang : l, current.locUrl);
+							return `<xhtml:link rel="alternate" hreflang="${l}" href="${escapeXml(href)}"/>`;
+						})
+						.join('');
+
+					if (alternates) end.before(alternates, { html: true });
+				});
+			},
+		})
+		.on('url xhtml\\:link', {
+			// Descendant selectors here and for <loc>: HTMLRewriter doesn't know "<xhtml:link/>"
+			// closes itself and nests what follows (more links, even <loc>) inside it
+			element(el) {
+				if (entry) entry.existing.add((el.getAttribute('hreflang') || '').toLowerCase());
+			},
+		})
+		.on('url loc, sitemap loc', {
+			text(chunk) {
+				buffer += chunk.text;
+				if (!chunk.lastInTextNode) {
+					chunk.remove();
+					return;
+				}
+
+				const raw = buffer;
+				buffer = '';
+
+				const locUrl = parseLoc(raw);
+				if (entry && locUrl) entry.locUrl = locUrl;
+
+				// Translated copies point to the language URLs, including child sitemaps of an index
+				if (lang && locUrl) {
+					chunk.replace(escapeXml(languageUrl(lang, locUrl)), { html: true });
+				} else {
+					chunk.replace(raw, { html: true });
+				}
+			},
+		});
+}
+
+function escapeXml(value) {
+	return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/* ----------------------------------------
+   LANGUAGE NEGOTIATION
+   Redirects default-language pages using the altified_lang cookie,
+   then the weighted Accept-Language header
+----------------------------------------- */
+function shouldNegotiateLanguage(request, env, projectConfig) {
+	if (!getBooleanSetting(env, projectConfig, 'AUTO_REDIRECT', true)) return false;
+
+	// Only top-level page loads, never assets or API calls
+	if (request.method !== 'GET' && request.method !== 'HEAD') return false;
+	if (!(request.headers.get('Accept') || '').includes('text/html')) return false;
+
+	const fetchDest = request.headers.get('Sec-Fetch-Dest');
+	if (fetchDest && fetchDest !== 'document') return false;
+
+	if (BOT_PATTERN.test(request.headers.get('User-Agent') || '')) return false;
+
+	const url = new URL(request.url);
+	if (['0', 'false', 'off', 'no'].includes(url.searchParams.get(CONFIG.NO_REDIRECT_PARAM))) return false;
+
+	return !matchesPathPrefix(url.pathname, getListSetting(env, projectConfig, 'AUTO_REDIRECT_EXCLUDE'));
+}
+
+// Returns the target language to redirect to, or null to stay on the default language
+function negotiateLanguage(request, projectConfig) {
+	const defaultLang = projectConfig.default_language || 'en';
+	const targetLangs = projectConfig.target_languages || [];
+	const available = [defaultLang, ...targetLangs];
+
+	// An explicit choice always wins, including the default language
+	const cookieLang = findLanguage(available, getCookie(request, CONFIG.LANG_COOKIE));
+	if (cookieLang) {
+		return cookieLang === defaultLang ? null : cookieLang;
+	}
+
+	const preferred = parseAcceptLanguage(request.headers.get('Accept-Language'));
+
+	for (const tag of preferred) {
+		const match = matchLanguage(tag, available);
+		if (match) return match === defaultLang ? null : match;
+	}
+
+	return null;
+}
+
+// Closest available language for a BCP 47 tag: the tag itself, then its parents (pt-PT -> pt,
+// zh-Hant-TW -> zh-Hant), then the same language in the same script (zh-TW -> zh-Hant, pt -> pt-BR)
+function matchLanguage(tag, available) {
+	const exact = findLanguage(available, tag);
+	if (exact) return exact;
+
+	const subtags = tag.split('-');
+	for (let i = subtags.length - 1; i > 0; i--) {
+		const parent = findLanguage(available, subtags.slice(0, i).join('-'));
+		if (parent) return parent;
+	}
+
+	const wanted = maximizeLocale(tag);
+	if (!wanted) return null;
+
+	const candidates = available.filter((lang) => {
+		const locale = maximizeLocale(lang);
+		return locale && locale.language === wanted.language && locale.script === wanted.script;
+	});
+
+	return candidates.find((lang) => maximizeLocale(lang).region === wanted.region) || candidates[0] || null;
+}
+
+// "zh-TW" -> zh-Hant-TW, null for invalid tags
+function maximizeLocale(tag) {
+	try {
+		return new Intl.Locale(tag).maximize();
+	} catch (e) {
+		return null;
+	}
+}
+
+// "fr-CH, fr;q=0.9, en;q=0.8, *;q=0.5" -> ['fr-ch', 'fr', 'en'], highest weight first
+function parseAcceptLanguage(header) {
+	if (!header) return [];
+
+	return header
+		.split(',')
+		.map((part, index) => {
+			const [tag, ...params] = part.trim().split(';');
+			const qParam = params.find((param) => param.trim().startsWith('q='));
+			const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+			return { tag: tag.trim().toLowerCase(), q: isNaN(q) ? 0 : q, index };
+		})
+		.filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+		.sort((a, b) => b.q - a.q || a.index - b.index)
+		.map(({ tag }) => tag);
+}
+
+// Stores ?altified_lang=es in the cookie and reloads the URL without it,
+// null when it isn't one of the site's languages
+function handleLanguageChoice(request, url, routing) {
+	const lang = findLanguage(getAllLanguages(routing), url.searchParams.get(CONFIG.LANG_PARAM));
+	if (!lang || (request.method !== 'GET' && request.method !== 'HEAD')) return null;
+
+	const location = new URL(url);
+	location.searchParams.delete(CONFIG.LANG_PARAM);
+
+	return new Response(null, {
+		status: 302,
+		headers: {
+			Location: `${location.pathname}${location.search}`,
+			'Set-Cookie': `${CONFIG.LANG_COOKIE}=${encodeURIComponent(lang)}${getLanguageCookieAttributes(routing)}`,
+			'Cache-Control': 'private, no-store',
+		},
+	});
+}
+
+function languageRedirect(url, lang, routing, slugs) {
+	const location = `${getLanguageHref(routing, slugs, lang, url.pathname)}${url.search}`;
+
+	return new Response(null, {
+		status: 302,
+		headers: {
+			Location: location,
+			Vary: 'Accept-Language, Cookie',
+			'Cache-Control': 'private, max-age=0',
+		},
+	});
+}
+
+function getCookie(request, name) {
+	const header = request.headers.get('Cookie');
+	if (!header) return null;
+
+	for (const pair of header.split(';')) {
+		const [key, ...value] = pair.trim().split('=');
+		if (key === name) {
+			try {
+				return decodeURIComponent(value.join('='));
+			} catch (e) {
+				return value.join('=');
+			}
+		}
+	}
+
+	return null;
+}
+
+function getCookieNames(request) {
+	const header = request.headers.get('Cookie');
+	if (!header) return [];
+
+	return header
+		.split(';')
+		.map((pair) => pair.trim().split('=')[0])
+		.filter(Boolean);
+}
+
+// "utm_*" matches any name starting with "utm_"
+function matchesNamePattern(name, patterns) {
+	return patterns.some((pattern) => (pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern));
+}
+
+function addVary(headers, names) {
+	const existing = (headers.get('Vary') || '')
+		.split(',')
+		.map((name) => name.trim())
+		.filter(Boolean);
+	const missing = names.filter((name) => !existing.some((value) => value.toLowerCase() === name.toLowerCase()));
+
+	if (missing.length) headers.set('Vary', [...existing, ...missing].join(', '));
+}
+
+function matchesPathPrefix(pathname, prefixes) {
+	return prefixes.some((prefix) => {
+		const clean = prefix.replace(/\/+$/, '');
+		return pathname === clean || pathname.startsWith(clean + '/');
+	});
+}
+
+/* ----------------------------------------
+   TRANSLATION PROXY
+   Same-origin endpoint for the client script. The worker adds
+   the project API key so it never reaches the browser
+----------------------------------------- */
+async function handleTranslateProxy(request, url, env) {
+	if (request.method !== 'POST') {
+		return jsonResponse({ error: 'Method not allowed' }, 405, { Allow: 'POST' });
+	}
+
+	if (!isSameOriginRequest(request, url, env)) {
+		return jsonResponse({ error: 'Forbidden' }, 403);
+	}
+
+	const contentLength = Number(request.headers.get('Content-Length') || 0);
+	if (contentLength > CONFIG.PROXY_MAX_BODY_BYTES) {
+		return jsonResponse({ error: 'Request too large' }, 413);
+	}
+
+	let body;
+	try {
+		const raw = await request.text();
+		if (raw.length > CONFIG.PROXY_MAX_BODY_BYTES) {
+			return jsonResponse({ error: 'Request too large' }, 413);
+		}
+		body = JSON.parse(raw);
+	} catch (e) {
+		return jsonResponse({ error: 'Invalid JSON body' }, 400);
+	}
+
+	const { language, texts } = body || {};
+
+	if (typeof language !== 'string' || !Array.isArray(texts)) {
+		return jsonResponse({ error: 'Expected { language, texts }' }, 400);
+	}
+
+	if (texts.length > CONFIG.PROXY_MAX_TEXTS) {
+		return jsonResponse({ error: `Too many texts (max ${CONFIG.PROXY_MAX_TEXTS})` }, 413);
+	}
+
+	const projectConfig = await getProjectConfig(env);
+	const enabledLanguages = Array.isArray(projectConfig?.target_languages) ? projectConfig.target_languages : [];
+
+	// Sent to the backend as configured
+	const lang = findLanguage(enabledLanguages, language);
+	if (!lang) {
+		return jsonResponse({ error: 'Language not enabled' }, 400);
+	}
+
+	// Deduplicate within the batch, the backend is billed per text
+	const uniqueTexts = [
+		...new Set(
+			texts
+				.filter((text) => typeof text === 'string')
+				.map((text) => text.trim())
+				.filter((text) => text && text.length <= CONFIG.PROXY_MAX_TEXT_LENGTH),
+		),
+	];
+
+	if (uniqueTexts.length === 0) {
+		return jsonResponse({ translations: [] });
+	}
+
+	const glossary = getGlossary(env, projectConfig, lang);
+	const { translations, complete } = await fetchTranslations(uniqueTexts, lang, env, glossary);
+
+	if (!complete && translations.size === 0) {
+		return jsonResponse({ error: 'Translation service unavailable' }, 502);
+	}
+
+	return jsonResponse({
+		translations: [...translations].map(([original, translated]) => ({ original, translated })),
+	});
+}
+
+// Browsers send Origin on POST requests. Referer is checked too when present,
+// and at least one of them must point to this site.
+function isSameOriginRequest(request, url, env) {
+	const allowedHosts = [url.host];
+	if (env.DOMAIN) allowedHosts.push(env.DOMAIN.replace(/^https?:\/\//, '').replace(/\/.*$/, ''));
+
+	const isAllowed = (value) => {
+		try {
+			return allowedHosts.includes(new URL(value).host);
+		} catch (e) {
+			return false;
+		}
+	};
+
+	const origin = request.headers.get('Origin');
+	const referer = request.headers.get('Referer');
+
+	if (!origin && !referer) return false;
+	if (origin && !isAllowed(origin)) return false;
+	if (referer && !isAllowed(referer)) return false;
+
+	return true;
+}
+
+function jsonResponse(data, status = 200, headers = {}) {
+	return new Response(JSON.stringify(data), {
+		status,
+		headers: {
+			'Content-Type': 'application/json',
+			'Cache-Control': 'no-store',
+			...headers,
+		},
+	});
+}
+
+/* ----------------------------------------
+   PAGE CACHE
+   Translated pages in caches.default, for as long as the origin allows.
+   The Cache API can't list keys, so purges by language or path prefix
+   are recorded and checked against the time a page was cached.
+----------------------------------------- */
+// Query parameters that never change a page, "*" matches any suffix
+const CACHE_IGNORED_PARAMS = [
+	'utm_*',
+	'fbclid',
+	'gclid',
+	'gbraid',
+	'wbraid',
+	'dclid',
+	'msclkid',
+	'yclid',
+	'ttclid',
+	'twclid',
+	'mc_cid',
+	'mc_eid',
+	'_ga',
+	'_gl',
+];
+
+// Analytics and consent cookies that don't personalize a page. Any other cookie bypasses the cache.
+const CACHE_IGNORED_COOKIES = [
+	CONFIG.LANG_COOKIE,
+	'_ga*',
+	'_gid',
+	'_gat*',
+	'_gcl_*',
+	'_fbp',
+	'_fbc',
+	'_hj*',
+	'__utm*',
+	'_clck',
+	'_clsk',
+	'__cf_bm',
+	'_cfuvid',
+	'cf_clearance',
+];
+
+// Translated pages being refreshed by this isolate (stale-while-revalidate)
+const revalidating = new Set();
+
+// Cache settings for this request, null when it must bypass the cache
+async function getPageCachePolicy(request, url, env, site) {
+	const { projectConfig, slugs } = site;
+
+	if (!getBooleanSetting(env, projectConfig, 'PAGE_CACHE', true)) return null;
+	if (request.method !== 'GET' && request.method !== 'HEAD') return null;
+
+	// Logged-in or otherwise personal requests
+	if (request.headers.has('Authorization')) return null;
+	const ignoredCookies = [...CACHE_IGNORED_COOKIES, ...getListSetting(env, projectConfig, 'CACHE_IGNORED_COOKIES')];
+	if (getCookieNames(request).some((name) => !matchesNamePattern(name, ignoredCookies))) return null;
+
+	return {
+		key: await getPageCacheKey(url, env, projectConfig, slugs),
+		ttl: getNumberSetting(env, projectConfig, 'PAGE_CACHE_TTL', CONFIG.PAGE_CACHE_TTL),
+		staleTtl: getNumberSetting(env, projectConfig, 'PAGE_CACHE_STALE_TTL', CONFIG.PAGE_CACHE_STALE_TTL),
+	};
+}
+
+// The page URL without tracking parameters, plus a version that changes with the project config and slugs.
+// Old entries are simply never read again after a config change.
+async function getPageCacheKey(url, env, projectConfig, slugs) {
+	const keyUrl = new URL(url);
+	const ignoredParams = [...CACHE_IGNORED_PARAMS, ...getListSetting(env, projectConfig, 'CACHE_IGNORED_PARAMS')];
+
+	[...new Set(keyUrl.searchParams.keys())].forEach((name) => {
+		if (matchesNamePattern(name, ignoredParams)) keyUrl.searchParams.delete(name);
+	});
+	keyUrl.searchParams.sort();
+	keyUrl.searchParams.set('__altified_v', await getPageCacheVersion(projectConfig, slugs));
+	keyUrl.hash = '';
+
+	return new Request(keyUrl.toString());
+}
+
+async function getPageCacheVersion(projectConfig, slugs) {
+	const data = new TextEncoder().encode(JSON.stringify([projectConfig, slugs]));
+	const digest = new Uint8Array(await crypto.subtle.digest('SHA-1', data));
+	const hash = [...digest.slice(0, 6)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+
+	return `${CONFIG.PAGE_CACHE_VERSION}.${hash}`;
+}
+
+async function matchPageCache(cacheKey, lang, originalPath, env) {
+	const cache = caches.default;
+	const cached = await cache.match(cacheKey);
+	if (!cached) return null;
+
+	const cachedAt = Number(cached.headers.get('X-Altified-Cached-At')) || 0;
+	const purges = await getPurgeLog(env);
+
+	if (purges.some((rule) => rule.at >= cachedAt && matchesPurgeRule(rule, lang, originalPath))) {
+		await cache.delete(cacheKey);
+		return null;
+	}
+
+	return cached;
+}
+
+// Stores a translated page for as long as the origin allows (plus the stale window).
+// The origin's Cache-Control is kept aside and restored when the copy is served.
+async function storePageCache(policy, response) {
+	const lifetime = getPageCacheLifetime(response, policy);
+	if (!lifetime) return;
+
+	const copy = new Response(response.body, response);
+	const cacheControl = response.headers.get('Cache-Control');
+
+	copy.headers.delete('X-Altified-Cache');
+	copy.headers.set('X-Altified-Cached-At', String(Date.now()));
+	copy.headers.set('X-Altified-TTL', String(lifetime.ttl));
+	if (cacheControl) copy.headers.set('X-Altified-Cache-Control', cacheControl);
+	// Never kept longer than admin purges are remembered
+	copy.headers.set('Cache-Control', `public, max-age=${Math.min(lifetime.ttl + lifetime.staleTtl, CONFIG.PURGE_LOG_TTL)}`);
+
+	await caches.default.put(policy.key, copy);
+}
+
+// { ttl, staleTtl } in seconds from the origin's headers, null when the page is personal or uncacheable
+function getPageCacheLifetime(response, policy) {
+	const headers = response.headers;
+	const cacheControl = (headers.get('Cache-Control') || '').toLowerCase();
+
+	if (response.status !== 200 || headers.has('Set-Cookie')) return null;
+	if (/(^|,)\s*(private|no-store|no-cache)\b/.test(cacheControl)) return null;
+
+	// The Cache API can't tell variants apart (compression aside)
+	const vary = (headers.get('Vary') || '')
+		.split(',')
+		.map((name) => name.trim().toLowerCase())
+		.filter((name) => name && name !== 'accept-encoding');
+	if (vary.length > 0) return null;
+
+	const directive = (name) => {
+		const match = cacheControl.match(new RegExp(`(?:^|,)\\s*${name}\\s*=\\s*"?(\\d+)`));
+		return match ? Number(match[1]) : null;
+	};
+
+	let ttl = directive('s-maxage') ?? directive('max-age');
+	if (ttl === null && headers.has('Expires')) {
+		const expires = Date.parse(headers.get('Expires'));
+		ttl = Number.isNaN(expires) ? 0 : Math.round((expires - Date.now()) / 1000);
+	}
+	ttl ??= policy.ttl;
+
+	if (ttl <= 0) return null;
+	return { ttl, staleTtl: directive('stale-while-revalidate') ?? policy.staleTtl };
+}
+
+// Restores the origin's headers on a cached copy and tells whether it is past its TTL
+function serveCachedPage(cached) {
+	const response = new Response(cached.body, cached);
+	const headers = response.headers;
+
+	const age = Math.max(0, Math.floor((Date.now() - Number(headers.get('X-Altified-Cached-At'))) / 1000));
+	const stale = age >= (Number(headers.get('X-Altified-TTL')) || 0);
+	const cacheControl = headers.get('X-Altified-Cache-Control');
+
+	if (cacheControl) headers.set('Cache-Control', cacheControl);
+	else headers.delete('Cache-Control');
+
+	['X-Altified-Cached-At', 'X-Altified-TTL', 'X-Altified-Cache-Control'].forEach((name) => headers.delete(name));
+	headers.set('Age', String(age));
+	headers.set('X-Altified-Cache', stale ? 'STALE' : 'HIT');
+
+	return { response, stale };
+}
+
+// { language?, path?, prefix? }: an empty rule matches every translated page
+function matchesPurgeRule(rule, lang, originalPath) {
+	if (rule.language && rule.language !== lang) return false;
+	if (rule.path && trimTrailingSlash(rule.path) !== trimTrailingSlash(originalPath)) return false;
+	if (rule.prefix && !matchesPathPrefix(originalPath, [rule.prefix])) return false;
+
+	return true;
+}
+
+async function getPurgeLog(env) {
+	try {
+		const cached = await caches.default.match(getInternalCacheKeys(env).purges);
+		return cached ? await cached.json() : [];
+	} catch (e) {
+		return [];
+	}
+}
+
+async function addPurgeRule(env, rule) {
+	const now = Date.now();
+	const log = (await getPurgeLog(env)).filter((entry) => now - entry.at < CONFIG.PURGE_LOG_TTL * 1000);
+	log.push({ ...rule, at: now });
+
+	// Past the limit the oldest rules become one that purges everything cached before the last of them.
+	// More than they asked for, but a purged page never comes back.
+	if (log.length > CONFIG.PURGE_LOG_MAX) {
+		const collapsed = log.splice(0, log.length - CONFIG.PURGE_LOG_MAX + 1);
+		log.unshift({ at: collapsed[collapsed.length - 1].at });
+	}
+
+	await caches.default.put(
+		getInternalCacheKeys(env).purges,
+		new Response(JSON.stringify(log), {
+			headers: {
+				'Content-Type': 'application/json',
+				'Cache-Control': `public, max-age=${CONFIG.PURGE_LOG_TTL}`,
+			},
+		}),
+	);
+}
+
+/* ----------------------------------------
+   ADMIN
+   /__altified/admin/purge    POST { url } | { language } | { prefix } | { all: true }
+   /__altified/admin/refresh  POST, reloads project config, languages and slugs
+   /__altified/admin/inspect  GET ?url=, cache state of a page in every language
+   Requests need "Authorization: Bearer <ALTIFIED_ADMIN_SECRET>".
+----------------------------------------- */
+async function handleAdminRequest(request, url, env) {
+	// Disabled until a secret is configured
+	if (!env.ALTIFIED_ADMIN_SECRET) {
+		return jsonResponse({ error: 'Not found' }, 404);
+	}
+
+	const token = (request.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+	if (!(await secretsMatch(token, env.ALTIFIED_ADMIN_SECRET))) {
+		return jsonResponse({ error: 'Unauthorized' }, 401, { 'WWW-Authenticate': 'Bearer' });
+	}
+
+	const action = url.pathname.slice(CONFIG.ADMIN_PATH.length).replace(/\/+$/, '');
+	const methods = { purge: 'POST', refresh: 'POST', inspect: 'GET' };
+
+	if (!methods[action]) {
+		return jsonResponse({ error: 'Unknown action', actions: Object.keys(methods) }, 404);
+	}
+	if (request.method !== methods[action]) {
+		return jsonResponse({ error: 'Method not allowed' }, 405, { Allow: methods[action] });
+	}
+
+	if (action === 'refresh') return handleAdminRefresh(env);
+
+	const projectConfig = await getProjectConfig(env);
+	if (!projectConfig || !projectConfig.target_languages) {
+		return jsonResponse({ error: 'Project config unavailable' }, 502);
+	}
+
+	if (action === 'inspect') return handleAdminInspect(url, env, projectConfig);
+
+	let body;
+	try {
+		body = await request.json();
+	} catch (e) {
+		return jsonResponse({ error: 'Invalid JSON body' }, 400);
+	}
+
+	return handleAdminPurge(body || {}, url, env, projectConfig);
+}
+
+// Compares digests so the time taken doesn't depend on how much of the secret matches
+async function secretsMatch(value, secret) {
+	const encoder = new TextEncoder();
+	const [a, b] = await Promise.all([value, secret].map((v) => crypto.subtle.digest('SHA-256', encoder.encode(v))));
+
+	return crypto.subtle.timingSafeEqual(a, b);
+}
+
+async function handleAdminPurge(body, url, env, projectConfig) {
+	const scopes = ['url', 'language', 'prefix', 'all'].filter((key) => body[key] !== undefined);
+	if (scopes.length !== 1) {
+		return jsonResponse({ error: 'Expected one of { url }, { language }, { prefix } or { all: true }' }, 400);
+	}
+
+	const routing = getRouting(env, projectConfig, url);
+	const slugs = await getSlugMappings(env, projectConfig);
+	let rule;
+
+	if (body.url !== undefined) {
+		const page = resolveAdminUrl(body.url, url, routing, slugs);
+		if (!page) return jsonResponse({ error: 'Invalid url' }, 400);
+		if (!page.lang) return jsonResponse({ error: 'Default language pages are not cached' }, 400);
+
+		await caches.default.delete(await getPageCacheKey(page.url, env, projectConfig, slugs));
+		rule = { language: page.lang, path: page.originalPath };
+	} else if (body.language !== undefined) {
+		const lang = findLanguage(routing.targetLangs, body.language);
+		if (!lang || lang === routing.defaultLang) {
+			return jsonResponse({ error: 'Language not enabled' }, 400);
+		}
+		rule = { language: lang };
+	} else if (body.prefix !== undefined) {
+		if (typeof body.prefix !== 'string' || !body.prefix.startsWith('/')) {
+			return jsonResponse({ error: 'Prefix must be a path starting with /' }, 400);
+		}
+		rule = { prefix: body.prefix };
+	} else {
+		if (body.all !== true) return jsonResponse({ error: 'Expected { all: true }' }, 400);
+		rule = {};
+	}
+
+	await addPurgeRule(env, rule);
+	const global = await purgeZoneCache(env, rule, routing, slugs);
+
+	// Without Cloudflare API credentials only this data center is purged
+	return jsonResponse({ purged: rule, scope: global ? 'global' : 'data center' });
+}
+
+async function handleAdminRefresh(env) {
+	const keys = getInternalCacheKeys(env);
+	await Promise.all([keys.config, keys.languageNames, keys.slugs].map((key) => caches.default.delete(key)));
+
+	const projectConfig = await getProjectConfig(env);
+	if (!projectConfig) {
+		return jsonResponse({ error: 'Project config unavailable' }, 502);
+	}
+
+	const [languageNames, slugs] = await Promise.all([getLanguageNames(env), getSlugMappings(env, projectConfig)]);
+
+	return jsonResponse({
+		refreshed: true,
+		default_language: projectConfig.default_language,
+		target_languages: projectConfig.target_languages || [],
+		language_names: Object.keys(languageNames).length,
+		slug_languages: Object.keys(slugs),
+	});
+}
+
+async function handleAdminInspect(url, env, projectConfig) {
+	const target = url.searchParams.get('url');
+	const routing = getRouting(env, projectConfig, url);
+	const slugs = await getSlugMappings(env, projectConfig);
+	const page = target && resolveAdminUrl(target, url, routing, slugs);
+
+	if (!page) {
+		return jsonResponse({ error: 'Expected ?url=<page url>' }, 400);
+	}
+
+	const purges = await getPurgeLog(env);
+	const keys = getInternalCacheKeys(env);
+	const [config, lastGoodConfig, languageNames, slugEntries] = await Promise.all(
+		[keys.config, keys.lastGoodConfig, keys.languageNames, keys.slugs].map(async (key) => !!(await caches.default.match(key))),
+	);
+
+	const languages = await Promise.all(
+		getAllLanguages(routing)
+			.filter((lang) => lang !== routing.defaultLang)
+			.map(async (lang) => {
+				const languageUrl = new URL(getLanguageUrl(routing, slugs, lang, page.originalPath));
+				languageUrl.search = page.url.search;
+
+				const cached = await caches.default.match(await getPageCacheKey(languageUrl, env, projectConfig, slugs));
+				const cachedAt = Number(cached?.headers.get('X-Altified-Cached-At')) || null;
+				const ttl = Number(cached?.headers.get('X-Altified-TTL')) || 0;
+
+				return {
+					language: lang,
+					url: languageUrl.toString(),
+					cached: !!cached,
+					cached_at: cachedAt && new Date(cachedAt).toISOString(),
+					stale: !!cached && Date.now() - cachedAt >= ttl * 1000,
+					purged: !!cached && purges.some((rule) => rule.at >= (cachedAt || 0) && matchesPurgeRule(rule, lang, page.originalPath)),
+					origin_cache_control: cached?.headers.get('X-Altified-Cache-Control') ?? null,
+				};
+			}),
+	);
+
+	return jsonResponse({
+		path: page.originalPath,
+		pages: languages,
+		internal: { config, last_good_config: lastGoodConfig, language_names: languageNames, slugs: slugEntries },
+		purges: purges.map((rule) => ({ ...rule, at: new Date(rule.at).toISOString() })),
+	});
+}
+
+// Any language URL of the site -> { url, lang (null for the default language), originalPath }
+function resolveAdminUrl(value, adminUrl, routing, slugs) {
+	let pageUrl;
+	try {
+		pageUrl = new URL(value, adminUrl);
+	} catch (e) {
+		return null;
+	}
+
+	const route = detectLanguageRoute(routing, pageUrl);
+	if (!route) return { url: pageUrl, lang: null, originalPath: pageUrl.pathname };
+
+	return { url: pageUrl, lang: route.lang, originalPath: delocalizePath(slugs, route.lang, route.path) };
+}
+
+// Purges the matching pages in every data center through the Cloudflare API.
+// Needs CLOUDFLARE_ZONE_ID and a CLOUDFLARE_API_TOKEN with cache purge permission.
+async function purgeZoneCache(env, rule, routing, slugs) {
+	if (!env.CLOUDFLARE_ZONE_ID || !env.CLOUDFLARE_API_TOKEN) return false;
+
+	const languages = rule.language ? [rule.language] : routing.targetLangs.filter((lang) => lang !== routing.defaultLang);
+	const prefixes = languages.map((lang) =>
+		getLanguageUrl(routing, slugs, lang, rule.path || rule.prefix || '/')
+			.replace(/^https?:\/\//, '')
+			.replace(/\/+$/, ''),
+	);
+
+	// Host-only prefixes (subdomain and domain routing) are purged by host
+	const hosts = prefixes.filter((prefix) => !prefix.includes('/'));
+	const paths = prefixes.filter((prefix) => prefix.includes('/'));
+
+	try {
+		const response = await fetch(`https://api.cloudflare.com/client/v4/zones/${env.CLOUDFLARE_ZONE_ID}/purge_cache`, {
+			method: 'POST',
+			headers: {
+				Authorization: `Bearer ${env.CLOUDFLARE_API_TOKEN}`,
+				'Content-Type': 'application/json',
+			},
+			body: JSON.stringify({ ...(hosts.length > 0 && { hosts }), ...(paths.length > 0 && { prefixes: paths }) }),
+		});
+
+		return response.ok;
+	} catch (e) {
+		return false;
+	}
+}
+
+/* ----------------------------------------
+   STREAMING HTML TRANSFORMS
+   Injections run in HTMLRewriter while the page streams through,
+   with fallbacks for missing or malformed <head>/<body> tags
+----------------------------------------- */
+
+// Runs the rewriter over an HTML response, keeping status and headers.
+// The body changes size, so Content-Length is dropped in favour of chunked delivery.
+// Content-Encoding is kept: the runtime re-encodes the body on the way out.
+function transformHtmlResponse(response, rewriter) {
+	const transformed = rewriter.transform(response);
+	const headers = new Headers(response.headers);
+	headers.delete('Content-Length');
+
+	return new Response(transformed.body, {
+		status: response.status,
+		statusText: response.statusText,
+		headers,
+	});
+}
+
+// Pending injections per rewriter. An element only keeps one onEndTag() handler,
+// so all injections of a page share the same head/body handlers.
+const injectionQueues = new WeakMap();
+
+// Injects `html` at `position` ('headStart', 'headEnd' or 'bodyEnd').
+// `html` can be a function, called when the position is reached.
+// `marker` is a selector for content the origin may already contain:
+// an origin copy seen before ours wins, one seen after ours is removed.
+function injectHtml(rewriter, html, { position, marker }) {
+	const injection = { html, position, injected: false, present: false };
+
+	if (marker) {
+		rewriter.on(marker, {
+			element(el) {
+				if (injection.injected && !injection.present) {
+					el.remove();
+				} else {
+					injection.present = true;
+				}
+			},
+		});
+	}
+
+	getInjectionQueue(rewriter).push(injection);
+	return rewriter;
+}
+
+function getInjectionQueue(rewriter) {
+	let queue = injectionQueues.get(rewriter);
+	if (queue) return queue;
+
+	queue = [];
+	injectionQueues.set(rewriter, queue);
+
+	const flush = (target, method, positions) => {
+		const content = queue
+			.filter((injection) => positions.includes(injection.position) && !injection.injected)
+			.map((injection) => {
+				injection.injected = true;
+				if (injection.present) return '';
+				return typeof injection.html === 'function' ? injection.html() : injection.html;
+			})
+			.join('');
+
+		if (content) target[method](content, { html: true });
+	};
+
+	rewriter.on('head', {
+		element(el) {
+			flush(el, 'prepend', ['headStart']);
+			el.onEndTag((end) => flush(end, 'before', ['headEnd']));
+		},
+	});
+
+	rewriter.on('body', {
+		element(el) {
+			// No <head> or no </head>: browsers still hoist content placed before <body>
+			flush(el, 'before', ['headStart', 'headEnd']);
+			el.onEndTag((end) => flush(end, 'before', ['bodyEnd']));
+		},
+	});
+
+	// Last resort for truncated markup (no </body>, or neither head nor body)
+	rewriter.onDocument({
+		end(end) {
+			flush(end, 'append', ['headStart', 'headEnd', 'bodyEnd']);
+		},
+	});
+
+	return queue;
+}
+
+/* ----------------------------------------
+   EDGE TRANSLATION
+   Collects text nodes and translatable attributes with HTMLRewriter,
+   translates them in batches and returns fully translated HTML
+----------------------------------------- */
+const SKIPPED_TAGS = ['script', 'style', 'noscript', 'iframe', 'code', 'pre'];
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+const TRANSLATABLE_ATTRIBUTES = ['alt', 'title', 'placeholder', 'aria-label'];
+
+// Same meta tags the client translates (og:site_name and author stay untranslated)
+const TRANSLATABLE_META = {
+	name: ['title', 'description', 'keywords', 'twitter:title', 'twitter:description'],
+	property: ['og:title', 'og:description'],
+};
+
+// "edge" translates on the worker, "client" (default) translates in the browser
+function getTranslationMode(env, projectConfig) {
+	const mode = getSetting(env, projectConfig, 'TRANSLATION_MODE') || 'client';
+	return String(mode).toLowerCase() === 'edge' ? 'edge' : 'client';
+}
+
+// Collects every translatable string of the page and translates them. Sentence segments
+// are translated as a whole and written into `html`, which is returned with the indexes of
+// those blocks; the rest is applied with handleTranslatableContent() while the page streams out.
+async function fetchPageTranslations(html, lang, env, { jsonLdFields = JSON_LD_FIELDS, excludedSelectors = [], glossary = null } = {}) {
+	// Text -> number of places it appears in
+	const texts = new Map();
+	const addText = (text) => {
+		texts.set(text, (texts.get(text) || 0) + 1);
+	};
+
+	const collector = handleTranslatableContent(new HTMLRewriter(), addText, excludedSelectors);
+	handleStructuredData(
+		collector,
+		jsonLdFields,
+		async (found) => {
+			found.forEach(addText);
+			return new Map();
+		},
+		(value) => value,
+	);
+	const [segments] = await Promise.all([collectSegments(html, excludedSelectors), collector.transform(new Response(html)).text()]);
+
+	// Texts only found in segments aren't needed unless their segment can't be rebuilt
+	segments.forEach((segment) => segment.pieces.forEach((text) => texts.set(text, texts.get(text) - 1)));
+	const queue = [...texts].filter(([, count]) => count > 0).map(([text]) => text);
+	segments.forEach((segment) => queue.push(segment.source));
+
+	if (queue.length === 0) {
+		return { translations: new Map(), complete: true, html, renderedBlocks: new Set() };
+	}
+
+	const { translations, complete } = await fetchTranslations([...new Set(queue)], lang, env, glossary);
+
+	const rendered = new Map();
+	const fallback = new Set();
+	segments.forEach((segment) => {
+		const translated = translations.get(segment.source);
+		if (translated === segment.source) return;
+
+		const content = translated && renderSegment(segment, translated);
+		if (content) {
+			rendered.set(segment.index, content);
+		} else {
+			segment.pieces.forEach((text) => !translations.has(text) && fallback.add(text));
+		}
+	});
+
+	// Segments that couldn't be rebuilt are translated one text node at a time
+	let fallbackComplete = true;
+	if (fallback.size > 0) {
+		const result = await fetchTranslations([...fallback], lang, env, glossary);
+		result.translations.forEach((translated, text) => translations.set(text, translated));
+		fallbackComplete = result.complete;
+	}
+
+	return {
+		translations,
+		complete: complete && fallbackComplete && translations.size > 0,
+		html: rendered.size > 0 ? await applySegments(html, rendered) : html,
+		renderedBlocks: new Set(rendered.keys()),
+	};
+}
+
+// Calls `translate(text)` for every translatable string and replaces it with the returned value (if any).
+// Elements matching `excludedSelectors` are skipped like translate="no". The text of `renderedBlocks`
+// (element indexes, see collectSegments) is already translated, only their attributes are left.
+// Mirrors collectTextNodes / collectAttributeNodes from the client script.
+function handleTranslatableContent(rewriter, translate, excludedSelectors = [], renderedBlocks = new Set()) {
+	let elementCount = 0;
+	let skipDepth = 0;
+	let renderedDepth = 0;
+	let inBody = false;
+	let inTitle = false;
+	let excluded = false;
+	let buffer = '';
+
+	// Registered before "*" so the flag is set when the same element reaches it.
+	// Selectors HTMLRewriter can't parse are ignored.
+	excludedSelectors.forEach((selector) => {
+		try {
+			rewriter.on(selector, {
+				element() {
+					excluded = true;
+				},
+			});
+		} catch (e) {
+			// Unsupported selector
+		}
+	});
+
+	const translateValue = (raw) => {
+		const [, leading, text, trailing] = decodeEntities(raw).match(/^(\s*)([\s\S]*?)(\s*)$/);
+		if (!text) return null;
+
+		const translated = translate(text);
+		if (!translated || translated === text) return null;
+
+		return leading + translated + trailing;
+	};
+
+	return rewriter.on('*', {
+		element(el) {
+			const index = elementCount++;
+			const tagName = el.tagName;
+
+			if (tagName === 'body') inBody = true;
+
+			if (renderedBlocks.has(index)) {
+				renderedDepth++;
+				el.onEndTag(() => {
+					renderedDepth--;
+				});
+			}
+
+			if (tagName === 'title' && !inBody) {
+				inTitle = true;
+				el.onEndTag(() => {
+					inTitle = false;
+				});
+			}
+
+			const skipped = SKIPPED_TAGS.includes(tagName) || el.getAttribute('translate') === 'no' || excluded;
+			excluded = false;
+			if (skipped && !VOID_TAGS.includes(tagName)) {
+				skipDepth++;
+				el.onEndTag(() => {
+					skipDepth--;
+				});
+			}
+			if (skipped || skipDepth > 0) return;
+
+			TRANSLATABLE_ATTRIBUTES.forEach((attr) => {
+				const value = el.getAttribute(attr);
+				if (!value) return;
+
+				const translated = translateValue(value);
+				if (translated) el.setAttribute(attr, escapeAttribute(translated.trim()));
+			});
+
+			if (tagName === 'meta' && isTranslatableMeta(el)) {
+				const content = el.getAttribute('content');
+				const translated = content && translateValue(content);
+				if (translated) el.setAttribute('content', escapeAttribute(translated.trim()));
+			}
+		},
+
+		text(chunk) {
+			if (skipDepth > 0 || renderedDepth > 0 || !(inBody || inTitle)) return;
+
+			// Text nodes can arrive in several chunks, translate them as a whole
+			buffer += chunk.text;
+			if (!chunk.lastInTextNode) {
+				chunk.remove();
+				return;
+			}
+
+			const raw = buffer;
+			buffer = '';
+
+			const translated = translateValue(raw);
+			if (translated) {
+				chunk.replace(translated);
+			} else {
+				chunk.replace(raw, { html: true });
+			}
+		},
+	});
+}
+
+function isTranslatableMeta(el) {
+	return (
+		TRANSLATABLE_META.name.includes((el.getAttribute('name') || '').toLowerCase()) ||
+		TRANSLATABLE_META.property.includes((el.getAttribute('property') || '').toLowerCase())
+	);
+}
+
+/* ----------------------------------------
+   SENTENCE SEGMENTS
+   A block holding only text and inline markup is translated as one
+   sentence, tags replaced by numbered placeholders, and rebuilt in the
+   translated word order:
+     "Buy <x1>two</x1> and save <x2>20%</x2>"
+   Kept elements (code, images, translate="no", excluded selectors)
+   travel as a single "<x3/>" and come back untouched. When the
+   placeholders can't be mapped back, the block is translated one text
+   node at a time. The client script does the same in the DOM.
+----------------------------------------- */
+const SEGMENT_INLINE_TAGS = [
+	'a',
+	'abbr',
+	'b',
+	'bdi',
+	'bdo',
+	'br',
+	'cite',
+	'code',
+	'data',
+	'dfn',
+	'em',
+	'i',
+	'img',
+	'kbd',
+	'mark',
+	'q',
+	's',
+	'samp',
+	'small',
+	'span',
+	'strong',
+	'sub',
+	'sup',
+	'time',
+	'u',
+	'var',
+	'wbr',
+];
+const SEGMENT_KEPT_TAGS = ['br', 'code', 'img', 'kbd', 'samp', 'wbr'];
+
+// The functions below are also copied into the client script as source (see SEGMENT_FUNCTIONS)
+function escapeSegmentText(text) {
+	return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function unescapeSegmentText(text) {
+	return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// Splits a translated segment into { text }, { index, kept } and { index, close } tokens.
+// `kept` tells for each placeholder (from 1) whether it is a single "<xN/>".
+// null when a placeholder is missing, repeated, unbalanced or of the wrong kind.
+function parseSegmentTranslation(translated, kept) {
+	const pattern = /<(\/?)x(\d+)(\/?)>/g;
+	const tokens = [];
+	const open = [];
+	const used = new Set();
+	let last = 0;
+	let match;
+
+	while ((match = pattern.exec(translated))) {
+		if (match.index > last) tokens.push({ text: translated.slice(last, match.index) });
+		last = pattern.lastIndex;
+
+		const index = Number(match[2]);
+		if (!(index >= 1 && index <= kept.length) || (match[1] && match[3])) return null;
+
+		if (match[1]) {
+			if (open.pop() !== index) return null;
+			tokens.push({ index, close: true });
+		} else {
+			if (used.has(index) || kept[index - 1] !== !!match[3]) return null;
+			used.add(index);
+			if (!kept[index - 1]) open.push(index);
+			tokens.push({ index, kept: kept[index - 1] });
+		}
+	}
+	if (last < translated.length) tokens.push({ text: translated.slice(last) });
+
+	if (open.length > 0 || used.size !== kept.length) return null;
+	if (tokens.some((token) => token.text && /<\/?x\d/.test(token.text))) return null;
+
+	return tokens;
+}
+
+const SEGMENT_FUNCTIONS = [escapeSegmentText, unescapeSegmentText, parseSegmentTranslation];
+
+// Finds the segments of a page with the same rules as handleTranslatableContent.
+// Elements are identified by their position in the document (`index`), which is the same
+// in every pass over the same HTML. Segments: { index, source, pieces, elements }, where
+// `pieces` are the texts of the block and `elements` its inline elements, by placeholder:
+// { tagName, startTag } or, when kept, { html }.
+async function collectSegments(html, excludedSelectors = []) {
+	const segments = [];
+	const blocks = [];
+	let elementCount = 0;
+	let inBody = false;
+	let skipDepth = 0;
+	let excluded = false;
+	let kept = null;
+	let buffer = '';
+
+	const rewriter = new HTMLRewriter();
+	excludedSelectors.forEach((selector) => {
+		try {
+			rewriter.on(selector, {
+				element() {
+					excluded = true;
+				},
+			});
+		} catch (e) {
+			// Unsupported selector
+		}
+	});
+
+	const getStartTag = (el) =>
+		`<${el.tagName}${[...el.attributes].map(([name, value]) => ` ${name}="${value.replace(/"/g, '&quot;')}"`).join('')}>`;
+	const onEnd = (el, callback) => {
+		if (!VOID_TAGS.includes(el.tagName)) el.onEndTag(callback);
+	};
+
+	rewriter.on('*', {
+		element(el) {
+			const index = elementCount++;
+			const tagName = el.tagName;
+			const isExcluded = excluded || el.getAttribute('translate') === 'no';
+			excluded = false;
+
+			// The body itself is never a block: its end tag is where scripts are injected
+			if (tagName === 'body') {
+				inBody = true;
+				return;
+			}
+			if (!inBody) return;
+
+			// Inside a kept element: copied as it is
+			if (kept) {
+				const element = kept;
+				element.html += getStartTag(el);
+				onEnd(el, () => {
+					element.html += `</${tagName}>`;
+				});
+				return;
+			}
+			if (skipDepth > 0) return;
+
+			const block = blocks[blocks.length - 1];
+
+			if (SEGMENT_INLINE_TAGS.includes(tagName) && block) {
+				if (SEGMENT_KEPT_TAGS.includes(tagName) || isExcluded) {
+					const element = { html: getStartTag(el) };
+					block.source += `<x${block.elements.push(element)}/>`;
+					if (VOID_TAGS.includes(tagName)) return;
+
+					kept = element;
+					el.onEndTag(() => {
+						element.html += `</${tagName}>`;
+						kept = null;
+					});
+					return;
+				}
+
+				const number = block.elements.push({ tagName, startTag: getStartTag(el) });
+				block.source += `<x${number}>`;
+				el.onEndTag(() => {
+					block.source += `</x${number}>`;
+				});
+				return;
+			}
+
+			// Anything else ends the sentence of the enclosing block
+			if (block) block.valid = false;
+			if (VOID_TAGS.includes(tagName)) return;
+
+			if (SKIPPED_TAGS.includes(tagName) || isExcluded) {
+				skipDepth++;
+				el.onEndTag(() => skipDepth--);
+				return;
+			}
+
+			const current = { index, source: '', pieces: [], elements: [], valid: true };
+			blocks.push(current);
+			el.onEndTag(() => {
+				blocks.pop();
+				const source = current.source.trim();
+				if (current.valid && current.pieces.length >= 2 && source.length <= CONFIG.PROXY_MAX_TEXT_LENGTH) {
+					segments.push({ index, source, pieces: current.pieces, elements: current.elements });
+				}
+			});
+		},
+
+		text(chunk) {
+			if (kept) {
+				kept.html += chunk.text;
+				return;
+			}
+
+			const block = blocks[blocks.length - 1];
+			if (!block || skipDepth > 0) return;
+
+			buffer += chunk.text;
+			if (!chunk.lastInTextNode) return;
+
+			const text = decodeEntities(buffer);
+			buffer = '';
+			block.source += escapeSegmentText(text);
+			if (text.trim()) block.pieces.push(text.trim());
+		},
+
+		comments(comment) {
+			if (kept) {
+				kept.html += `<!--${comment.text}-->`;
+			} else if (blocks.length > 0 && skipDepth === 0) {
+				blocks[blocks.length - 1].valid = false;
+			}
+		},
+	});
+
+	await rewriter.transform(new Response(html)).text();
+	return segments;
+}
+
+// The translated HTML of a segment, null when its placeholders can't be mapped back
+function renderSegment(segment, translated) {
+	const tokens = parseSegmentTranslation(
+		translated,
+		segment.elements.map((element) => element.html !== undefined),
+	);
+	if (!tokens) return null;
+
+	return tokens
+		.map((token) => {
+			if (token.text) return escapeSegmentText(unescapeSegmentText(token.text));
+
+			const element = segment.elements[token.index - 1];
+			if (token.kept) return element.html;
+			return token.close ? `</${element.tagName}>` : element.startTag;
+		})
+		.join('');
+}
+
+// Replaces the content of each block in `rendered` (element index -> HTML).
+// The original content is removed piece by piece so every element is still counted.
+// A rendered block holds the same elements as before, so the indexes stay valid in the result.
+async function applySegments(html, rendered) {
+	let elementCount = 0;
+	let depth = 0;
+
+	const rewriter = new HTMLRewriter().on('*', {
+		element(el) {
+			const index = elementCount++;
+
+			if (depth > 0) {
+				el.removeAndKeepContent();
+				return;
+			}
+
+			const content = rendered.get(index);
+			if (content === undefined) return;
+
+			el.prepend(content, { html: true });
+			depth++;
+			el.onEndTag(() => depth--);
+		},
+		text(chunk) {
+			if (depth > 0) chunk.remove();
+		},
+		comments(comment) {
+			if (depth > 0) comment.remove();
+		},
+	});
+
+	return rewriter.transform(new Response(html)).text();
+}
+
+// Translate texts through the Altified API in parallel batches.
+// Glossary terms are sent as placeholders and restored in the translations.
+async function fetchTranslations(texts, lang, env, glossary = null, { timeout = CONFIG.TRANSLATE_TIMEOUT, retries = 1 } = {}) {
+	const translations = new Map();
+	let complete = true;
+
+	// Text sent to the backend -> the originals it stands for (several when only a term's case differs)
+	const pending = new Map();
+	texts.forEach((text) => {
+		const { text: sent, values } = protectTerms(text, glossary);
+
+		// Nothing but glossary terms: no need to ask the backend
+		if (values.length > 0 && !/\p{L}/u.test(sent.replace(GLOSSARY_PLACEHOLDER, ''))) {
+			translations.set(text, restoreTerms(sent, values));
+			return;
+		}
+
+		if (!pending.has(sent)) pending.set(sent, []);
+		pending.get(sent).push({ original: text, values });
+	});
+
+	const queue = [...pending.keys()];
+	const batches = [];
+	for (let i = 0; i < queue.length; i += CONFIG.TRANSLATE_BATCH_SIZE) {
+		batches.push(queue.slice(i, i + CONFIG.TRANSLATE_BATCH_SIZE));
+	}
+
+	await Promise.all(
+		batches.map(async (batch) => {
+			try {
+				const response = await fetchBackend(
+					env,
+					CONFIG.TRANSLATE_ENDPOINT,
+					{
+						method: 'POST',
+						headers: {
+							'Content-Type': 'application/json',
+							Accept: 'application/json',
+						},
+						body: JSON.stringify({
+							project_api_key: env.ALTIFIED_API_KEY,
+							language: lang,
+							texts: batch,
+						}),
+					},
+					{ timeout, retries },
+				);
+
+				if (!response.ok) {
+					complete = false;
+					return;
+				}
+
+				const data = await response.json();
+
+				if (data?.translations) {
+					data.translations.forEach((t) => {
+						if (!t?.original || !t?.translated) return;
+
+						const sources = pending.get(t.original) || [{ original: t.original, values: [] }];
+						sources.forEach(({ original, values }) => {
+							// A translation that lost a placeholder would drop the term, keep the original instead
+							const restored = restoreTerms(t.translated, values);
+							if (restored) translations.set(original, restored);
+						});
+					});
+				}
+			} catch (e) {
+				// Leave this batch untranslated
+				complete = false;
+			}
+		}),
+	);
+
+	return { translations, complete };
+}
+
+// HTMLRewriter hands over text and attribute values as they appear in the source.
+// Decoded with the full HTML entity table so edge and browser send the same text.
+function decodeEntities(text) {
+	return text.includes('&') ? decodeHTML(text) : text;
+}
+
+// HTMLRewriter's setAttribute() only escapes double quotes
+function escapeAttribute(value) {
+	return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/* ----------------------------------------
+   GLOSSARY
+   Terms that are never translated and terms with a forced
+   translation per language, protected with placeholders
+----------------------------------------- */
+const GLOSSARY_PLACEHOLDER = /__\s*AG\s*(\d+)\s*__/gi;
+
+// { "do_not_translate": ["Altified"], "terms": { "es": { "gift card": "tarjeta regalo" } } }
+// -> { terms, pattern } for `lang`, null when the project has no glossary
+function getGlossary(env, projectConfig, lang) {
+	const config = getJsonSetting(env, projectConfig, 'GLOSSARY');
+
+	// Lowercased term -> forced translation, null to keep the term as written
+	const terms = new Map();
+	[].concat(config.do_not_translate || []).forEach((term) => {
+		if (typeof term === 'string' && term.trim()) terms.set(term.trim().toLowerCase(), null);
+	});
+	const termsLang = findLanguage(Object.keys(config.terms || {}), lang);
+	Object.entries(config.terms?.[termsLang] || {}).forEach(([term, translation]) => {
+		if (term.trim() && typeof translation === 'string') terms.set(term.trim().toLowerCase(), translation);
+	});
+
+	if (terms.size === 0) return null;
+
+	// Longest first, so "Altified Pro" wins over "Altified"
+	const alternatives = [...terms.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp);
+
+	return {
+		terms,
+		pattern: new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu'),
+	};
+}
+
+// "Try Altified today" -> { text: "Try __AG0__ today", values: ["Altified"] }
+function protectTerms(text, glossary) {
+	const values = [];
+	if (!glossary) return { text, values };
+
+	const protectedText = text.replace(glossary.pattern, (match) => {
+		values.push(glossary.terms.get(match.toLowerCase()) ?? match);
+		return `__AG${values.length - 1}__`;
+	});
+
+	return { text: protectedText, values };
+}
+
+// Puts the terms back, null when the translation lost one of them
+function restoreTerms(text, values) {
+	if (values.length === 0) return text;
+
+	const restored = new Set();
+	const result = text.replace(GLOSSARY_PLACEHOLDER, (match, index) => {
+		if (index >= values.length) return match;
+
+		restored.add(Number(index));
+		return values[index];
+	});
+
+	return restored.size === values.length ? result : null;
+}
+
+// GET /__altified/glossary?lang=es&text=...&text=... shows what the backend receives and the final result.
+// Meant for `wrangler dev`: only routed when GLOSSARY_DEBUG is enabled.
+async function handleGlossaryDebug(url, env) {
+	const lang = url.searchParams.get('lang');
+	const texts = url.searchParams.getAll('text').filter(Boolean);
+
+	if (!lang || texts.length === 0) {
+		return jsonResponse({ error: 'Expected ?lang=<code>&text=<text>' }, 400);
+	}
+
+	const projectConfig = await getProjectConfig(env);
+	const glossary = getGlossary(env, projectConfig, lang);
+	const { translations } = await fetchTranslations(texts, lang, env, glossary);
+
+	return jsonResponse({
+		language: lang,
+		terms: glossary ? Object.fromEntries(glossary.terms) : {},
+		results: texts.map((text) => ({
+			text,
+			sent: protectTerms(text, glossary).text,
+			translated: translations.get(text) ?? null,
+		})),
+	});
+}
+
+function escapeRegExp(value) {
+	return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/* ----------------------------------------
+   STRUCTURED DATA
+   Translates the human-readable JSON-LD fields and points
+   breadcrumbs to the language URLs
+----------------------------------------- */
+// Text meant for readers (FAQ questions and answers are `name` and `text`).
+// URLs, SKUs, prices and identifiers live in other properties and are never translated.
+const JSON_LD_FIELDS = [
+	'name',
+	'description',
+	'headline',
+	'alternativeHeadline',
+	'abstract',
+	'articleBody',
+	'text',
+	'caption',
+	'reviewBody',
+	'disambiguatingDescription',
+	'slogan',
+	'keywords',
+];
+
+function getJsonLdFields(env, projectConfig) {
+	const fields = getListSetting(env, projectConfig, 'JSON_LD_FIELDS');
+	return fields.length > 0 ? fields : JSON_LD_FIELDS;
+}
+
+// Rewrites every application/ld+json block. `translateTexts(texts)` resolves to a Map of translations,
+// `localizeUrl(url)` returns the language URL of a breadcrumb item.
+function handleStructuredData(rewriter, fields, translateTexts, localizeUrl) {
+	let buffer = '';
+
+	return rewriter.on('script[type="application/ld+json" i]', {
+		async text(chunk) {
+			buffer += chunk.text;
+			if (!chunk.lastInTextNode) {
+				chunk.remove();
+				return;
+			}
+
+			const raw = buffer;
+			buffer = '';
+
+			let data;
+			try {
+				data = JSON.parse(raw);
+			} catch (e) {
+				// Leave invalid blocks as they are
+				chunk.replace(raw, { html: true });
+				return;
+			}
+
+			const texts = new Set();
+			mapStructuredData(data, fields, (text) => {
+				texts.add(text.trim());
+				return text;
+			});
+
+			let translations = new Map();
+			if (texts.size > 0) {
+				try {
+					translations = await translateTexts([...texts]);
+				} catch (e) {
+					// Keep the source language
+				}
+			}
+
+			const localized = mapStructuredData(data, fields, (text) => translations.get(text.trim()) || text, localizeUrl);
+			const json = JSON.stringify(localized);
+
+			// Untouched blocks keep their original formatting
+			chunk.replace(json === JSON.stringify(data) ? raw : json.replace(/</g, '\\u003c'), { html: true });
+		},
+	});
+}
+
+// Returns a copy of `node` with `mapText` applied to the translatable fields
+// and `mapUrl` applied to the items of a BreadcrumbList
+function mapStructuredData(node, fields, mapText, mapUrl = (url) => url, inBreadcrumb = false) {
+	if (Array.isArray(node)) {
+		return node.map((item) => mapStructuredData(item, fields, mapText, mapUrl, inBreadcrumb));
+	}
+	if (!node || typeof node !== 'object') return node;
+
+	const breadcrumb = inBreadcrumb || hasStructuredDataType(node, 'BreadcrumbList');
+	const result = {};
+
+	Object.entries(node).forEach(([key, value]) => {
+		if (breadcrumb && key === 'item') {
+			if (typeof value === 'string') {
+				result[key] = mapUrl(value);
+				return;
+			}
+			if (value && typeof value === 'object' && !Array.isArray(value)) {
+				value = { ...value };
+				['@id', 'url'].forEach((prop) => {
+					if (typeof value[prop] === 'string') value[prop] = mapUrl(value[prop]);
+				});
+			}
+		}
+
+		if (fields.includes(key) && typeof value === 'string') {
+			result[key] = isReadableText(value) ? mapText(value) : value;
+		} else if (fields.includes(key) && Array.isArray(value)) {
+			result[key] = value.map((item) =>
+				typeof item === 'string'
+					? isReadableText(item)
+						? mapText(item)
+						: item
+					: mapStructuredData(item, fields, mapText, mapUrl, breadcrumb),
+			);
+		} else {
+			result[key] = mapStructuredData(value, fields, mapText, mapUrl, breadcrumb);
+		}
+	});
+
+	return result;
+}
+
+// Matches "BreadcrumbList", "schema:BreadcrumbList" and "https://schema.org/BreadcrumbList"
+function hasStructuredDataType(node, type) {
+	return [].concat(node['@type'] || []).some((t) => typeof t === 'string' && t.replace(/^.*[/:#]/, '') === type);
+}
+
+// Skips values that are links or contain no words (codes, numbers)
+function isReadableText(value) {
+	const text = value.trim();
+	return /\p{L}/u.test(text) && !/^(https?:|mailto:|tel:|\/)/i.test(text);
+}
+
+// Breadcrumb URL on the origin -> the same page in `lang`. External URLs are left alone.
+function localizeStructuredDataUrl(value, lang, site, originUrl) {
+	const { slugs, routing } = site;
+
+	try {
+		const target = new URL(value, originUrl);
+		if (![routing.defaultHost, originUrl.host.toLowerCase()].includes(target.host.toLowerCase())) return value;
+
+		return getLanguageUrl(routing, slugs, lang, target.pathname) + target.search + target.hash;
+	} catch (e) {
+		return value;
+	}
+}
+
+/* ----------------------------------------
+   JSON API TRANSLATION
+   Opt-in per route: { "/api/products": ["$.items[*].title"] }.
+   "*" in a route matches any characters, rules use a JSONPath subset:
+   $, .key, ['key'], [0], [*], .* and ..key (any depth)
+----------------------------------------- */
+function isJsonContentType(contentType) {
+	return /^application\/([\w.-]+\+)?json\b/i.test(contentType.trim());
+}
+
+// JSONPath rules of every route matching `pathname`, null when none does
+function getJsonTranslationRules(env, projectConfig, pathname) {
+	const routes = getJsonSetting(env, projectConfig, 'JSON_TRANSLATION_RULES');
+
+	const rules = Object.entries(routes)
+		.filter(([route]) => matchesRoutePattern(pathname, route))
+		.flatMap(([, paths]) => [].concat(paths))
+		.filter((path) => typeof path === 'string');
+
+	return rules.length > 0 ? rules : null;
+}
+
+function matchesRoutePattern(pathname, pattern) {
+	const source = pattern.split('*').map(escapeRegExp).join('.*');
+
+	return new RegExp(`^${source}$`).test(trimTrailingSlash(pathname));
+}
+
+// Translates the strings selected by `rules`. Unparseable bodies are returned unchanged.
+async function translateJsonResponse(response, rules, lang, env, glossary = null) {
+	const body = await response.text();
+
+	let data;
+	try {
+		data = JSON.parse(body);
+	} catch (e) {
+		return { response: new Response(body, response), complete: false };
+	}
+
+	const targets = [];
+	rules.forEach((rule) => {
+		const tokens = parseJsonPath(rule);
+		if (!tokens) return;
+
+		selectJsonPath(data, tokens, (parent, key) => {
+			const value = parent[key];
+			if (typeof value === 'string' && value.trim()) targets.push({ parent, key, text: value.trim() });
+		});
+	});
+
+	let complete = true;
+	if (targets.length > 0) {
+		const result = await fetchTranslations([...new Set(targets.map((t) => t.text))], lang, env, glossary);
+		complete = result.complete;
+
+		targets.forEach(({ parent, key, text }) => {
+			const translated = result.translations.get(text);
+			if (translated) parent[key] = translated;
+		});
+	}
+
+	const translated = new Response(JSON.stringify(data), response);
+	translated.headers.delete('Content-Length');
+
+	return { response: translated, complete };
+}
+
+// "$.items[*].title" -> [{ key: 'items' }, { wildcard: true }, { key: 'title' }], null when invalid
+function parseJsonPath(path) {
+	const tokens = [];
+	const pattern = /(\.\.|\.)(\*|[^.[\]]+)|\[\s*(\*|-?\d+|'[^']*'|"[^"]*")\s*\]/y;
+	const source = path.trim();
+
+	if (!source.startsWith('$')) return null;
+	pattern.lastIndex = 1;
+
+	while (pattern.lastIndex < source.length) {
+		const match = pattern.exec(source);
+		if (!match) return null;
+
+		const [, dots, name, bracket] = match;
+		const selector = bracket ?? name;
+		const token = { deep: dots === '..' };
+
+		if (selector === '*') token.wildcard = true;
+		else if (bracket !== undefined && /^-?\d+$/.test(bracket)) token.index = Number(bracket);
+		else token.key = bracket !== undefined ? bracket.slice(1, -1) : name;
+
+		tokens.push(token);
+	}
+
+	return tokens.length > 0 ? tokens : null;
+}
+
+// Calls `visit(parent, key)` for every location matched by `tokens`
+function selectJsonPath(node, tokens, visit) {
+	if (!node || typeof node !== 'object') return;
+
+	const [token, ...rest] = tokens;
+	const keys = Array.isArray(node) ? node.map((item, i) => i) : Object.keys(node);
+
+	keys.forEach((key) => {
+		const matches =
+			token.wildcard ||
+			(token.key !== undefined && key === token.key) ||
+			(token.index !== undefined && Array.isArray(node) && key === (token.index < 0 ? node.length + token.index : token.index));
+
+		if (matches) {
+			if (rest.length === 0) visit(node, key);
+			else selectJsonPath(node[key], rest, visit);
+		}
+
+		// "..key" keeps looking at every depth
+		if (token.deep) selectJsonPath(node[key], tokens, visit);
+	});
+}
+
+/* ----------------------------------------
+   URL REWRITING
+   Links, forms and other page URLs point to the language route,
+   resolved against the page like the browser would
+----------------------------------------- */
+// Downloads and static files are linked as they are, never through a language route
+const ASSET_PATH_PATTERN =
+	/\.(pdf|zip|gz|rar|7z|dmg|exe|msi|apk|jpe?g|png|gif|webp|avif|svg|ico|mp4|webm|mov|mp3|wav|ogg|css|js|mjs|map|json|xml|txt|csv|docx?|xlsx?|pptx?|woff2?|ttf|otf|eot)$/i;
+
+const URL_ATTRIBUTES = [
+	['a[href]', 'href'],
+	['area[href]', 'href'],
+	['form[action]', 'action'],
+	['button[formaction]', 'formaction'],
+	['input[formaction]', 'formaction'],
+	['link[rel~="next" i][href]', 'href'],
+	['link[rel~="prev" i][href]', 'href'],
+];
+
+function rewritePageUrls(rewriter, originUrl, lang, site) {
+	let baseUrl = originUrl;
+	let foreignBase = false;
+
+	const localize = (raw) => {
+		const value = decodeEntities(raw || '').trim();
+		if (!value || value.startsWith('#')) return null;
+
+		// Relative URLs under a <base> on another host aren't ours
+		if (foreignBase && !/^([a-z][a-z\d+.-]*:|\/\/)/i.test(value)) return null;
+
+		const localized = localizeOriginUrl(value, baseUrl, lang, site);
+		return localized !== value ? localized : null;
+	};
+
+	rewriter.on('base[href]', {
+		element(el) {
+			try {
+				baseUrl = new URL(decodeEntities(el.getAttribute('href')), originUrl);
+				foreignBase = ![site.routing.defaultHost, originUrl.host.toLowerCase()].includes(baseUrl.host.toLowerCase());
+			} catch (e) {
+				// Invalid base, browsers ignore it too
+			}
+		},
+	});
+
+	URL_ATTRIBUTES.forEach(([selector, attr]) => {
+		rewriter.on(selector, {
+			element(el) {
+				// Downloads and explicit language links stay as they are
+				if (el.hasAttribute('download') || el.hasAttribute('hreflang')) return;
+
+				const localized = localize(el.getAttribute(attr));
+				if (localized) el.setAttribute(attr, escapeAttribute(localized));
+			},
+		});
+	});
+
+	return rewriter.on('meta[http-equiv="refresh" i][content]', {
+		element(el) {
+			if (foreignBase) return;
+
+			const content = decodeEntities(el.getAttribute('content'));
+			const localized = localizeRefresh(content, baseUrl, lang, site);
+			if (localized !== content) el.setAttribute('content', escapeAttribute(localized));
+		},
+	});
+}
+
+/* ----------------------------------------
+   LOCALE FORMATTING
+   Numbers, dates and prices marked with data-altified-* attributes,
+   formatted for the page language with Intl. The client script
+   does the same for content rendered in the browser, with the
+   functions in FORMAT_FUNCTIONS.
+----------------------------------------- */
+const FORMAT_SELECTOR = '[data-altified-number], [data-altified-date], [data-altified-currency]';
+
+// LOCALE_CURRENCIES: {"de": "EUR"}, EXCHANGE_RATES: {"USD": 1, "EUR": 0.92} (against any common base)
+function getFormattingOptions(env, projectConfig) {
+	return {
+		currencies: getJsonSetting(env, projectConfig, 'LOCALE_CURRENCIES'),
+		rates: getJsonSetting(env, projectConfig, 'EXCHANGE_RATES'),
+	};
+}
+
+function formatLocaleValues(rewriter, lang, site) {
+	let pending = null;
+
+	return rewriter.on(FORMAT_SELECTOR, {
+		element(el) {
+			const attributes = Object.fromEntries([...el.attributes].map(([name, value]) => [name, decodeEntities(value)]));
+			const getAttribute = (name) => attributes[name] ?? null;
+
+			// Tells the client script this element is done
+			el.setAttribute('data-altified-formatted', '');
+			pending = null;
+
+			// Value in an attribute, the text is replaced right away
+			if (getFormatAttributeValue(getAttribute)) {
+				const formatted = formatLocaleValue(getAttribute, '', lang, site.routing.defaultLang, site.formatting);
+				if (formatted !== null) el.setInnerContent(formatted);
+				return;
+			}
+
+			pending = { getAttribute, text: '' };
+		},
+		// Value in the text, in the default language's format: held back until the text node is complete
+		text(chunk) {
+			if (!pending) return;
+
+			pending.text += chunk.text;
+			if (!chunk.lastInTextNode) {
+				chunk.remove();
+				return;
+			}
+
+			const formatted = formatLocaleValue(
+				pending.getAttribute,
+				decodeEntities(pending.text).trim(),
+				lang,
+				site.routing.defaultLang,
+				site.formatting,
+			);
+			if (formatted === null) {
+				chunk.replace(pending.text, { html: true });
+			} else {
+				chunk.replace(formatted);
+			}
+			pending = null;
+		},
+	});
+}
+
+// The functions below are also copied into the client script as source (see FORMAT_FUNCTIONS):
+// they only use their arguments, each other and browser globals.
+function getFormatAttributeValue(getAttribute) {
+	return getAttribute('data-altified-date') || getAttribute('data-altified-number') || getAttribute('data-altified-amount');
+}
+
+// null when the value can't be read or formatted. `formatting` comes from getFormattingOptions.
+function formatLocaleValue(getAttribute, text, lang, defaultLang, formatting) {
+	const source = getFormatAttributeValue(getAttribute) || text;
+
+	try {
+		if (getAttribute('data-altified-date') !== null) {
+			const date = parseFormatDate(source);
+			if (!date) return null;
+
+			const options = {
+				dateStyle: getAttribute('data-altified-style') || 'medium',
+				timeZone: getAttribute('data-altified-timezone') || 'UTC',
+			};
+			if (/\d:\d\d/.test(source)) options.timeStyle = 'short';
+
+			return new Intl.DateTimeFormat(lang, options).format(date);
+		}
+
+		const amount = parseFormatNumber(source, defaultLang);
+		if (amount === null) return null;
+
+		const currency = getAttribute('data-altified-currency');
+		if (currency !== null) {
+			const from = currency.toUpperCase();
+			const to = String(formatting.currencies[lang] || from).toUpperCase();
+			const converted = convertCurrency(amount, from, to, formatting.rates);
+
+			return new Intl.NumberFormat(lang, { style: 'currency', currency: converted === null ? from : to }).format(converted ?? amount);
+		}
+
+		const decimals = getAttribute('data-altified-decimals');
+		const options = decimals ? { minimumFractionDigits: Number(decimals), maximumFractionDigits: Number(decimals) } : {};
+		return new Intl.NumberFormat(lang, options).format(amount);
+	} catch (e) {
+		// Unknown currency, style or time zone
+		return null;
+	}
+}
+
+// "1299.5" or text in the default language's format ("$1,299.50") -> 1299.5
+function parseFormatNumber(value, locale) {
+	const text = String(value).trim();
+	if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+
+	const parts = new Intl.NumberFormat(locale).formatToParts(-12345.6);
+	const group = parts.find((part) => part.type === 'group')?.value || ',';
+	const decimal = parts.find((part) => part.type === 'decimal')?.value || '.';
+
+	const normalized = text
+		.split(group)
+		.join('')
+		.split(decimal)
+		.join('.')
+		.replace(/[^\d.-]/g, '');
+	const number = parseFloat(normalized);
+
+	return Number.isFinite(number) ? number : null;
+}
+
+// ISO dates, or anything Date understands. Read as UTC, so the edge and the browser agree.
+function parseFormatDate(value) {
+	const text = String(value).trim();
+	if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+		// Without an offset, date-times would be local to whoever parses them
+		const date = new Date(/T[\d:.]+$/.test(text) ? `${text}Z` : text);
+		return isNaN(date) ? null : date;
+	}
+
+	const date = new Date(text);
+	if (isNaN(date)) return null;
+	return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes()));
+}
+
+function convertCurrency(amount, from, to, rates) {
+	if (from === to) return null;
+
+	const fromRate = Number(rates[from]);
+	const toRate = Number(rates[to]);
+	if (!(fromRate > 0) || !(toRate > 0)) return null;
+
+	return (amount / fromRate) * toRate;
+}
+
+const FORMAT_FUNCTIONS = [getFormatAttributeValue, formatLocaleValue, parseFormatNumber, parseFormatDate, convertCurrency];
+
+/* ----------------------------------------
+   INJECT AUTO-TRANSLATION SCRIPT
+   IMPROVED: Loading spinner + sequential translation
+   FIXED: Complete <head> translation including Twitter Cards
+----------------------------------------- */
+// Options: edgeTranslated, slugIndex (slugs of `lang`), langPrefix ('/es' with path routing, '' otherwise),
+// exclusions (from getExclusions) and defaultHost (absolute links to it are rewritten too)
+function injectAutoTranslation(rewriter, lang, options = {}) {
+	const {
+		edgeTranslated = false,
+		slugIndex = null,
+		langPrefix = `/${lang}`,
+		exclusions = { paths: [], selectors: [], links: [] },
+		defaultHost = '',
+		defaultLang = '',
+		formatting = { currencies: {}, rates: {} },
+	} = options;
+	const slugs = JSON.stringify({ paths: slugIndex?.paths || {}, segments: slugIndex?.segments || {} }).replace(/</g, '\\u003c');
+	const excludedPaths = JSON.stringify([...exclusions.paths, ...(exclusions.links || [])]).replace(/</g, '\\u003c');
+	const excludedSelector = JSON.stringify(['[translate="no"]', ...exclusions.selectors].join(', ')).replace(/</g, '\\u003c');
+
+	// Edge-translated pages are already readable, no need to blur them
+	const blurStyle = edgeTranslated
+		? ''
+		: `
+<style id="__ALTIFIED_BLUR__">
+  html {
+    filter: blur(8px);
+    opacity: 0.6;
+    transition: filter 0.3s ease-out, opacity 0.3s ease-out;
+  }
+  
+  html.altified-translated {
+    filter: none;
+    opacity: 1;
+  }
+</style>
+`;
+
+	const script = `${blurStyle}
+<script id="__ALTIFIED_AUTO_TRANSLATE__">
+(function() {
+  window.__ALTIFIED_LANG__ = '${lang}';
+  
+  // Page was translated at the edge: only translate content added later
+  const EDGE_TRANSLATED = ${edgeTranslated};
+  
+  // Translated slugs for this language: { paths: {...}, segments: {...} }
+  const SLUGS = ${slugs};
+  
+  // Never translated: links to these paths keep pointing to the default language,
+  // elements matching the selector keep their original text
+  const EXCLUDED_PATHS = ${excludedPaths};
+  const EXCLUDED_SELECTOR = ${excludedSelector};
+  const ASSET_PATH_PATTERN = ${ASSET_PATH_PATTERN};
+  
+  const TRANSLATABLE_ATTRIBUTES = ['alt', 'title', 'placeholder', 'aria-label'];
+  const META_SELECTOR = [
+    'meta[name="title"]',
+    'meta[name="description"]',
+    'meta[name="keywords"]',
+    'meta[property="og:title"]',
+    'meta[property="og:description"]',
+    'meta[name="twitter:title"]',
+    'meta[name="twitter:description"]'
+  ].join(', ');
+  
+  // A block holding text and these tags is translated as one sentence (see SENTENCE SEGMENTS)
+  const INLINE_TAGS = ${JSON.stringify(SEGMENT_INLINE_TAGS.map((tag) => tag.toUpperCase()))};
+  const KEPT_TAGS = ${JSON.stringify(SEGMENT_KEPT_TAGS.map((tag) => tag.toUpperCase()))};
+  
+  // Absolute links to the default-language site are internal too
+  const DEFAULT_HOST = ${JSON.stringify(defaultHost)};
+  
+  // Numbers, dates and prices to format for this language (see formatValues)
+  const FORMAT_SELECTOR = '${FORMAT_SELECTOR}';
+  const DEFAULT_LANG = '${defaultLang}';
+  const FORMATTING = ${JSON.stringify(formatting).replace(/</g, '\\u003c')};
+  const formattedValues = new WeakMap();
+  const translationCache = new Map();
+  
+  // What was written into each node: text nodes -> text, elements -> { attribute: text }.
+  // Nodes the page changed since then no longer match and are translated again.
+  const translatedNodes = new WeakMap();
+  
+  // Translations already on the page, never sent back for translation
+  const translatedTexts = new Set();
+  let isTranslating = false;
+  
+  // pause() holds new content (and the first pass, if it hasn't started) until resume()
+  let paused = false;
+  let initialPending = false;
+  
+  // Content added or changed by the page, translated in one batch per window
+  const MUTATION_BATCH_DELAY = 100;
+  const dirtyNodes = new Set();
+  let flushTimer = null;
+  
+  let resolveReady;
+  const readyPromise = new Promise(function(resolve) {
+    resolveReady = resolve;
+  });
+  
+  // Public API (see injectLanguageContext): the translation methods of this page
+  window.Altified = Object.assign(window.Altified || {}, {
+    translate: translate,
+    retranslate: retranslate,
+    ready: function() {
+      return readyPromise;
+    },
+    pause: pause,
+    resume: resume
+  });
+  
+  // Initialize
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+  
+  function init() {
+    rewriteInternalLinks();
+    formatValues(document.body);
+    if (EDGE_TRANSLATED) {
+      translated([document.head, document.body]);
+    } else if (paused) {
+      initialPending = true;
+    } else {
+      translateAllContent();
+    }
+    startObserver();
+    watchNavigation();
+  }
+  
+  // Events for the site's scripts, on document
+  function notify(type, detail) {
+    detail.language = '${lang}';
+    document.dispatchEvent(new CustomEvent(type, { detail: detail }));
+  }
+  
+  function translated(roots) {
+    resolveReady();
+    notify('altified:translated', { roots: roots });
+  }
+  
+  // Translate strings for the site's scripts: a string or an array, answered in the same shape
+  async function translate(texts) {
+    const list = (Array.isArray(texts) ? texts : [texts]).map(String);
+    await translateTexts(list.map(t => t.trim()).filter(Boolean));
+    
+    const results = list.map(t => translationCache.get(t.trim()) || t);
+    return Array.isArray(texts) ? results : results[0];
+  }
+  
+  // Translate \`root\` again, e.g. after the app replaced its texts in place
+  async function retranslate(root) {
+    root = root || document.body;
+    
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, null);
+    translatedNodes.delete(root);
+    while (walker.nextNode()) {
+      translatedNodes.delete(walker.currentNode);
+    }
+    
+    await translateContent(root);
+    rewriteInternalLinks(root);
+    translated([root]);
+  }
+  
+  function pause() {
+    paused = true;
+  }
+  
+  function resume() {
+    if (!paused) return;
+    paused = false;
+    
+    if (initialPending) {
+      initialPending = false;
+      translateAllContent();
+    }
+    scheduleFlush();
+  }
+  
+  function removeBlur() {
+    document.documentElement.classList.add('altified-translated');
+    // Remove blur style after transition completes
+    setTimeout(function() {
+      var blurStyle = document.getElementById('__ALTIFIED_BLUR__');
+      if (blurStyle) blurStyle.remove();
+    }, 300);
+  }
+  
+  // Parallel translation: head and visible body at the same time (FASTEST)
+  async function translateAllContent() {
+    if (isTranslating) return;
+    isTranslating = true;
+    
+    try {
+      // Translate head and visible body content in PARALLEL
+      await Promise.all([
+        translateContent(document.head),
+        translateVisibleContent(document.body)
+      ]);
+      
+      // Remove blur after both are done
+      removeBlur();
+      
+      // Translate remaining below-the-fold content in background
+      await translateBelowFoldContent(document.body);
       
     } catch (error) {
       // Remove blur even on error
       removeBlur();
+      notify('altified:error', { error: error });
     }
     
     isTranslating = false;
+    translated([document.head, document.body]);
   }
   
   // Translate only visible (above-the-fold) content
@@ -391,22 +3257,7 @@ function injectAutoTranslation(html, lang, apiKey) {
     
     await translateTexts(texts);
     
-    // Apply translations
-    textNodes.forEach((node, i) => {
-      const translated = translationCache.get(texts[i]);
-      if (translated && translated !== texts[i]) {
-        node.nodeValue = translated;
-        translatedNodes.add(node);
-      }
-    });
-    
-    attrNodes.forEach((a, i) => {
-      const translated = translationCache.get(texts[textNodes.length + i]);
-      if (translated && translated !== texts[textNodes.length + i]) {
-        a.element.setAttribute(a.attribute, translated);
-        translatedNodes.add(a.element);
-      }
-    });
+    await applyTranslations(textNodes, attrNodes, texts);
   }
   
   // Translate content below the fold
@@ -435,12 +3286,23 @@ function injectAutoTranslation(html, lang, apiKey) {
     
     await translateTexts(texts);
     
-    // Apply translations
+    await applyTranslations(textNodes, attrNodes, texts);
+  }
+  
+  async function applyTranslations(textNodes, attrNodes, texts) {
+    const fallback = [];
+    
     textNodes.forEach((node, i) => {
       const translated = translationCache.get(texts[i]);
+      if (node.segment) {
+        if (translated !== texts[i] && !applySegment(node, translated)) fallback.push(...node.textNodes);
+        return;
+      }
+      
       if (translated && translated !== texts[i]) {
-        node.nodeValue = translated;
-        translatedNodes.add(node);
+        // Spaces around the text separate it from the neighbouring inline elements
+        node.nodeValue = node.nodeValue.replace(texts[i], () => translated);
+        translatedNodes.set(node, node.nodeValue);
       }
     });
     
@@ -448,41 +3310,124 @@ function injectAutoTranslation(html, lang, apiKey) {
       const translated = translationCache.get(texts[textNodes.length + i]);
       if (translated && translated !== texts[textNodes.length + i]) {
         a.element.setAttribute(a.attribute, translated);
-        translatedNodes.add(a.element);
+        const attributes = translatedNodes.get(a.element) || {};
+        attributes[a.attribute] = translated;
+        translatedNodes.set(a.element, attributes);
+      }
+    });
+    
+    // Segments whose markup couldn't be mapped back are translated one text node at a time
+    if (fallback.length > 0) {
+      const fallbackTexts = fallback.map(n => n.nodeValue.trim());
+      await translateTexts(fallbackTexts);
+      await applyTranslations(fallback, [], fallbackTexts);
+    }
+  }
+  
+  function isTranslatedAttribute(element, attribute) {
+    const attributes = translatedNodes.get(element);
+    return !!attributes && attributes[attribute] === element.getAttribute(attribute);
+  }
+  
+  // Like root.querySelectorAll(), root included
+  function selectAll(root, selector) {
+    const elements = Array.from(root.querySelectorAll(selector));
+    if (root.matches(selector)) elements.unshift(root);
+    return elements;
+  }
+  
+  // Elements formatted by the worker (data-altified-formatted) or here are remembered with their
+  // attributes and text, so only values the page changes afterwards are formatted again
+  function formatValues(root) {
+    const element = root.nodeType === Node.ELEMENT_NODE ? root : root.parentElement;
+    if (!element) return;
+    
+    const owner = element.closest(FORMAT_SELECTOR);
+    const elements = owner ? [owner] : selectAll(element, FORMAT_SELECTOR);
+    
+    elements.forEach(el => {
+      const getAttribute = name => el.getAttribute(name);
+      const text = el.textContent.trim();
+      const state = getFormatAttributeValue(getAttribute) + '|' + text;
+      if (formattedValues.get(el) === state) return;
+      
+      if (!formattedValues.has(el) && el.hasAttribute('data-altified-formatted')) {
+        formattedValues.set(el, state);
+        return;
       }
+      
+      const formatted = formatLocaleValue(getAttribute, text, '${lang}', DEFAULT_LANG || undefined, FORMATTING);
+      if (formatted !== null && formatted !== text) el.textContent = formatted;
+      formattedValues.set(el, getFormatAttributeValue(getAttribute) + '|' + (formatted === null ? text : formatted));
     });
   }
   
-  // Rewrite internal links to include language prefix
-  function rewriteInternalLinks() {
-    var links = document.querySelectorAll('a[href]');
-    var langPrefix = '/${lang}';
+  // Same functions as the worker (LOCALE FORMATTING)
+${FORMAT_FUNCTIONS.map((fn) => fn.toString()).join('\n\n')}
+  
+  // Map an origin href to its translated slug, keeping query and hash
+  function localizeHref(href) {
+    var parts = href.match(/^([^?#]*)(.*)$/);
+    var path = parts[1];
+    try {
+      path = decodeURI(path);
+    } catch (e) {}
+    
+    var key = path.length > 1 ? path.replace(/\\/+$/, '') : path;
+    var mapped = hasOwn(SLUGS.paths, key)
+      ? SLUGS.paths[key]
+      : key.split('/').map(function(segment) {
+          return hasOwn(SLUGS.segments, segment) ? SLUGS.segments[segment] : segment;
+        }).join('/');
+    
+    if (mapped !== '/' && path.length > 1 && path.endsWith('/')) mapped += '/';
+    return encodeURI(mapped) + parts[2];
+  }
+  
+  function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+  }
+  
+  // Point links and forms of late content (widgets, client-side rendering) to this language.
+  // The worker already rewrote the ones it served; relative URLs resolve inside the language route by themselves.
+  function rewriteInternalLinks(root) {
+    if (root && root.nodeType !== Node.ELEMENT_NODE) return;
+    var selector = 'a[href], area[href], form[action]';
+    var langPrefix = '${langPrefix}';
     
-    links.forEach(function(link) {
-      var href = link.getAttribute('href');
+    (root ? selectAll(root, selector) : document.querySelectorAll(selector)).forEach(function(el) {
+      var attr = el.tagName === 'FORM' ? 'action' : 'href';
+      var value = (el.getAttribute(attr) || '').trim();
       
-      // Only rewrite relative internal links
-      if (!href) return;
-      if (href.startsWith('http://') || href.startsWith('https://')) return;
-      if (href.startsWith('#')) return;
-      if (href.startsWith('mailto:') || href.startsWith('tel:')) return;
+      if (!value || value.startsWith('#')) return;
+      if (el.hasAttribute('download') || el.hasAttribute('hreflang')) return;
       
-      // If link doesn't already have language prefix, add it
-      if (!href.startsWith(langPrefix + '/') && href !== langPrefix) {
-        var newHref;
-        if (href === '/') {
-          newHref = langPrefix;
-        } else if (href.startsWith('/')) {
-          newHref = langPrefix + href;
-        } else {
-          // Handle relative paths (e.g., "about" or "./about")
-          if (href.startsWith('./')) {
-            newHref = langPrefix + '/' + href.substring(2);
-          } else {
-            newHref = langPrefix + '/' + href;
-          }
-        }
-        link.setAttribute('href', newHref);
+      var absolute = /^([a-z][a-z\\d+.-]*:|\\/\\/)/i.test(value);
+      if (!absolute && !value.startsWith('/')) return;
+      
+      var target;
+      try {
+        target = new URL(value, location.href);
+      } catch (e) {
+        return;
+      }
+      
+      if (!/^https?:$/.test(target.protocol)) return;
+      if (target.host !== location.host && target.host !== DEFAULT_HOST) return;
+      
+      var path = target.pathname;
+      
+      // Already inside the language route
+      if (langPrefix && target.host === location.host && (path === langPrefix || path.startsWith(langPrefix + '/'))) return;
+      
+      // Excluded pages only exist in the default language, files are linked as they are
+      if (isExcludedPath(path) || ASSET_PATH_PATTERN.test(path)) return;
+      
+      var localized = path === '/' ? (langPrefix || '/') : langPrefix + localizeHref(path);
+      var newValue = (absolute || target.host !== location.host ? location.origin : '') + localized + target.search + target.hash;
+      
+      if (newValue !== value) {
+        el.setAttribute(attr, newValue);
       }
     });
   }
@@ -501,157 +3446,220 @@ function injectAutoTranslation(html, lang, apiKey) {
     
     await translateTexts(texts);
     
-    // Apply translations to text nodes
-    textNodes.forEach((node, i) => {
-      const translated = translationCache.get(texts[i]);
-      if (translated && translated !== texts[i]) {
-        node.nodeValue = translated;
-        translatedNodes.add(node);
-      }
-    });
-    
-    // Apply translations to attributes
-    attrNodes.forEach((a, i) => {
-      const translated = translationCache.get(texts[textNodes.length + i]);
-      if (translated && translated !== texts[textNodes.length + i]) {
-        a.element.setAttribute(a.attribute, translated);
-        translatedNodes.add(a.element);
-      }
-    });
+    await applyTranslations(textNodes, attrNodes, texts);
   }
   
+  // Text nodes of \`root\` (or \`root\` itself) that still need a translation. Text inside
+  // a block with inline markup comes back as the block's segment instead (see serializeSegment).
   function collectTextNodes(root) {
     const nodes = [];
-    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null);
-    let node;
+    const segments = new Map();
+    
+    // Only the <title> is visible in <head>
+    const inHead = document.head.contains(root);
     
-    while ((node = walker.nextNode())) {
-      if (translatedNodes.has(node)) continue;
+    const collect = (node) => {
+      if (translatedNodes.get(node) === node.nodeValue) return;
       
       const text = node.nodeValue.trim();
       const parent = node.parentElement;
       
-      if (!text || !parent) continue;
-      if (parent.closest('[translate="no"]')) continue;
+      if (!text || !parent || translatedTexts.has(text)) return;
+      if (isExcluded(parent)) return;
       
       const tagName = parent.tagName;
-      if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'IFRAME', 'CODE', 'PRE'].includes(tagName)) {
-        continue;
-      }
+      if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'IFRAME', 'CODE', 'PRE'].includes(tagName)) return;
+      if (inHead && tagName !== 'TITLE') return;
       
-      // For <head>, also translate <title>
-      if (root === document.head) {
-        if (['TITLE'].includes(tagName)) {
-          nodes.push(node);
+      const block = inHead ? null : getSegmentBlock(parent);
+      if (block) {
+        if (!segments.has(block)) {
+          const segment = serializeSegment(block);
+          segments.set(block, segment);
+          if (segment) nodes.push(segment);
         }
-      } else {
-        nodes.push(node);
+        if (segments.get(block)) return;
       }
+      
+      nodes.push(node);
+    };
+    
+    if (root.nodeType === Node.TEXT_NODE) {
+      collect(root);
+      return nodes;
+    }
+    
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null);
+    while (walker.nextNode()) {
+      collect(walker.currentNode);
     }
     
     return nodes;
   }
   
-  function collectAttributeNodes(root) {
-    const attrs = [];
-    
-    // Standard attributes to translate
-    const elements = root.querySelectorAll('[alt], [title], [placeholder], [aria-label]');
-    
-    elements.forEach(el => {
-      ['alt', 'title', 'placeholder', 'aria-label'].forEach(attr => {
-        const val = el.getAttribute(attr);
-        if (val && val.trim() && !translatedNodes.has(el)) {
-          attrs.push({ element: el, attribute: attr, text: val.trim() });
-        }
-      });
-    });
+  // Closest ancestor that isn't inline markup
+  function getSegmentBlock(element) {
+    while (element && INLINE_TAGS.includes(element.tagName)) {
+      element = element.parentElement;
+    }
+    return element;
+  }
+  
+  // A block of text and inline markup as one unit for the backend, tags replaced by numbered
+  // placeholders: "Buy <x1>two</x1> and save <x2>20%</x2>". Kept and excluded elements are
+  // a single "<x3/>". Shaped like a text node (nodeValue, parentElement) so it goes through
+  // the same pipeline. null when the block holds anything else, is partly translated already,
+  // is too long for the proxy, or has a single piece of text (translated as is).
+  function serializeSegment(block) {
+    const segment = { segment: true, parentElement: block, elements: [], textNodes: [] };
     
-    // FIXED: For <head>, translate ALL relevant meta tags (except site_name and author)
-    if (root === document.head) {
-      // Meta title
-      const metaTitle = root.querySelector('meta[name="title"]');
-      if (metaTitle) {
-        const content = metaTitle.getAttribute('content');
-        if (content && content.trim() && !translatedNodes.has(metaTitle)) {
-          attrs.push({ element: metaTitle, attribute: 'content', text: content.trim() });
-        }
-      }
-      
-      // Meta description
-      const metaDesc = root.querySelector('meta[name="description"]');
-      if (metaDesc) {
-        const content = metaDesc.getAttribute('content');
-        if (content && content.trim() && !translatedNodes.has(metaDesc)) {
-          attrs.push({ element: metaDesc, attribute: 'content', text: content.trim() });
-        }
-      }
-      
-      // Meta keywords
-      const metaKeywords = root.querySelector('meta[name="keywords"]');
-      if (metaKeywords) {
-        const content = metaKeywords.getAttribute('content');
-        if (content && content.trim() && !translatedNodes.has(metaKeywords)) {
-          attrs.push({ element: metaKeywords, attribute: 'content', text: content.trim() });
-        }
-      }
-      
-      // Open Graph title
-      const ogTitle = root.querySelector('meta[property="og:title"]');
-      if (ogTitle) {
-        const content = ogTitle.getAttribute('content');
-        if (content && content.trim() && !translatedNodes.has(ogTitle)) {
-          attrs.push({ element: ogTitle, attribute: 'content', text: content.trim() });
+    const serialize = (parent) => {
+      let out = '';
+      for (const child of parent.childNodes) {
+        if (child.nodeType === Node.TEXT_NODE) {
+          if (translatedNodes.get(child) === child.nodeValue) return null;
+          if (child.nodeValue.trim()) segment.textNodes.push(child);
+          out += escapeSegmentText(child.nodeValue);
+          continue;
         }
-      }
-      
-      // Open Graph description
-      const ogDesc = root.querySelector('meta[property="og:description"]');
-      if (ogDesc) {
-        const content = ogDesc.getAttribute('content');
-        if (content && content.trim() && !translatedNodes.has(ogDesc)) {
-          attrs.push({ element: ogDesc, attribute: 'content', text: content.trim() });
+        
+        if (child.nodeType !== Node.ELEMENT_NODE || !INLINE_TAGS.includes(child.tagName)) return null;
+        
+        const index = segment.elements.push(child);
+        if (isKeptElement(child)) {
+          out += '<x' + index + '/>';
+          continue;
         }
+        
+        const inner = serialize(child);
+        if (inner === null) return null;
+        out += '<x' + index + '>' + inner + '</x' + index + '>';
       }
-      
-      // ADDED: Twitter Card title
-      const twitterTitle = root.querySelector('meta[name="twitter:title"]');
-      if (twitterTitle) {
-        const content = twitterTitle.getAttribute('content');
-        if (content && content.trim() && !translatedNodes.has(twitterTitle)) {
-          attrs.push({ element: twitterTitle, attribute: 'content', text: content.trim() });
-        }
+      return out;
+    };
+    
+    const text = serialize(block);
+    if (text === null || segment.textNodes.length < 2) return null;
+    if (text.trim().length > ${CONFIG.PROXY_MAX_TEXT_LENGTH}) return null;
+    
+    segment.nodeValue = text;
+    return segment;
+  }
+  
+  function isKeptElement(element) {
+    return KEPT_TAGS.includes(element.tagName) || isExcluded(element);
+  }
+  
+  // Same functions as the worker (SENTENCE SEGMENTS)
+${SEGMENT_FUNCTIONS.map((fn) => fn.toString()).join('\n\n')}
+  
+  // Rebuilds the block in the translated word order, moving its own inline elements so their
+  // attributes and listeners stay. false when a placeholder is missing, repeated or unbalanced:
+  // the DOM is only touched once the whole translation has been checked.
+  function applySegment(segment, translated) {
+    if (typeof translated !== 'string') return false;
+    
+    // Changed while being translated: the observer queues it again
+    const block = segment.parentElement;
+    const current = block.isConnected ? serializeSegment(block) : null;
+    if (!current || current.nodeValue !== segment.nodeValue) return true;
+    
+    const tokens = parseSegmentTranslation(translated, segment.elements.map(isKeptElement));
+    if (!tokens) return false;
+    
+    const fragment = document.createDocumentFragment();
+    const parents = [fragment];
+    tokens.forEach(token => {
+      const parent = parents[parents.length - 1];
+      if (token.text) {
+        const node = document.createTextNode(unescapeSegmentText(token.text));
+        parent.appendChild(node);
+        translatedNodes.set(node, node.nodeValue);
+      } else if (token.close) {
+        parents.pop();
+      } else {
+        const element = segment.elements[token.index - 1];
+        if (!token.kept) element.replaceChildren();
+        parent.appendChild(element);
+        if (!token.kept) parents.push(element);
       }
-      
-      // ADDED: Twitter Card description
-      const twitterDesc = root.querySelector('meta[name="twitter:description"]');
-      if (twitterDesc) {
-        const content = twitterDesc.getAttribute('content');
-        if (content && content.trim() && !translatedNodes.has(twitterDesc)) {
-          attrs.push({ element: twitterDesc, attribute: 'content', text: content.trim() });
-        }
+    });
+    
+    block.replaceChildren(fragment);
+    return true;
+  }
+  
+  function collectAttributeNodes(root) {
+    if (root.nodeType !== Node.ELEMENT_NODE) return [];
+    
+    const attrs = [];
+    const collect = (el, attr) => {
+      const val = el.getAttribute(attr);
+      if (val && val.trim() && !isTranslatedAttribute(el, attr) && !translatedTexts.has(val.trim())) {
+        attrs.push({ element: el, attribute: attr, text: val.trim() });
       }
-      
-      // EXCLUDED: og:site_name and author are NOT translated (as requested)
-      // These meta tags will remain in the original language
+    };
+    
+    // Standard attributes to translate
+    selectAll(root, '[alt], [title], [placeholder], [aria-label]').forEach(el => {
+      TRANSLATABLE_ATTRIBUTES.forEach(attr => collect(el, attr));
+    });
+    
+    // Readable meta tags in <head>. og:site_name and author stay in the original language.
+    if (document.head.contains(root)) {
+      selectAll(root, META_SELECTOR).forEach(el => collect(el, 'content'));
     }
     
-    return attrs;
+    return attrs.filter(a => !isExcluded(a.element));
+  }
+  
+  function isExcluded(element) {
+    try {
+      return !!element.closest(EXCLUDED_SELECTOR);
+    } catch (e) {
+      // Invalid selector in the settings
+      return !!element.closest('[translate="no"]');
+    }
+  }
+  
+  function isExcludedPath(path) {
+    return EXCLUDED_PATHS.some(function(prefix) {
+      var clean = prefix.replace(/\\/+$/, '');
+      return path === clean || path.startsWith(clean + '/');
+    });
   }
   
   async function translateTexts(texts) {
-    const toTranslate = texts.filter(t => !translationCache.has(t) || translationCache.get(t) === t);
+    const toTranslate = [...new Set(texts)].filter(t => !translationCache.has(t) || translationCache.get(t) === t);
     
     if (toTranslate.length === 0) return;
     
+    // Stay within the proxy's per-request limits
+    const batches = [];
+    let batch = [];
+    let batchSize = 0;
+    toTranslate.forEach(t => {
+      if (batch.length >= ${CONFIG.PROXY_MAX_TEXTS} || batchSize + t.length > ${CONFIG.PROXY_MAX_BODY_BYTES / 4}) {
+        batches.push(batch);
+        batch = [];
+        batchSize = 0;
+      }
+      batch.push(t);
+      batchSize += t.length;
+    });
+    batches.push(batch);
+    
+    await Promise.all(batches.map(translateBatch));
+  }
+  
+  async function translateBatch(batch) {
     try {
-      const res = await fetch('${CONFIG.ALTIFIED_API}/translate/', {
+      const res = await fetch('${CONFIG.TRANSLATE_PROXY_PATH}', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          project_api_key: '${apiKey}',
           language: '${lang}',
-          texts: toTranslate
+          texts: batch
         })
       });
       
@@ -663,223 +3671,562 @@ function injectAutoTranslation(html, lang, apiKey) {
         data.translations.forEach(t => {
           if (t?.original && t?.translated) {
             translationCache.set(t.original, t.translated);
+            if (t.translated !== t.original) translatedTexts.add(t.translated);
           }
         });
       }
       
       return data;
     } catch (err) {
+      notify('altified:error', { error: err, texts: batch });
       return null;
     }
   }
   
+  // New content, text changed in place, translatable attributes and links (SPA renders), <head> included
   function startObserver() {
     const observer = new MutationObserver((mutations) => {
-      const newNodes = [];
-      
-      // Collect only newly added nodes
       mutations.forEach(mutation => {
-        mutation.addedNodes.forEach(node => {
-          // Only process element nodes (not text nodes or comments)
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            // Skip if this node or its parent was already translated
-            if (!translatedNodes.has(node) && !node.closest('[translate="no"]')) {
-              newNodes.push(node);
-            }
-          }
-        });
+        if (mutation.type === 'childList') {
+          mutation.addedNodes.forEach(queueNode);
+        } else if (mutation.type === 'characterData' || !isTranslatedAttribute(mutation.target, mutation.attributeName)) {
+          queueNode(mutation.target);
+        }
       });
       
-      // If we have new nodes, translate only those
-      if (newNodes.length > 0) {
-        translateNewNodes(newNodes);
-      }
+      scheduleFlush();
     });
     
-    observer.observe(document.body, {
+    observer.observe(document.documentElement, {
       childList: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: [
+        ...TRANSLATABLE_ATTRIBUTES,
+        'content',
+        'href',
+        'action',
+        'data-altified-number',
+        'data-altified-date',
+        'data-altified-currency',
+        'data-altified-amount'
+      ],
       subtree: true
     });
   }
   
-  // Translate only newly added nodes
-  async function translateNewNodes(nodes) {
-    for (const node of nodes) {
-      // Collect text nodes and attributes from this new node only
-      const textNodes = collectTextNodes(node);
-      const attrNodes = collectAttributeNodes(node);
-      
-      const texts = [
-        ...textNodes.map(n => n.nodeValue.trim()),
-        ...attrNodes.map(a => a.text)
-      ];
-      
-      if (texts.length === 0) continue;
-      
-      await translateTexts(texts);
-      
-      // Apply translations to text nodes
-      textNodes.forEach((textNode, i) => {
-        const translated = translationCache.get(texts[i]);
-        if (translated && translated !== texts[i]) {
-          textNode.nodeValue = translated;
-          translatedNodes.add(textNode);
-        }
-      });
-      
-      // Apply translations to attributes
-      attrNodes.forEach((a, i) => {
-        const translated = translationCache.get(texts[textNodes.length + i]);
-        if (translated && translated !== texts[textNodes.length + i]) {
-          a.element.setAttribute(a.attribute, translated);
-          translatedNodes.add(a.element);
-        }
-      });
-      
-      // Rewrite links in the new node
-      const links = node.querySelectorAll ? node.querySelectorAll('a[href]') : [];
-      links.forEach(function(link) {
-        var href = link.getAttribute('href');
-        var langPrefix = '/${lang}';
-        
-        if (!href) return;
-        if (href.startsWith('http://') || href.startsWith('https://')) return;
-        if (href.startsWith('#')) return;
-        if (href.startsWith('mailto:') || href.startsWith('tel:')) return;
-        
-        if (!href.startsWith(langPrefix + '/') && href !== langPrefix) {
-          var newHref;
-          if (href === '/') {
-            newHref = langPrefix;
-          } else if (href.startsWith('/')) {
-            newHref = langPrefix + href;
-          } else {
-            if (href.startsWith('./')) {
-              newHref = langPrefix + '/' + href.substring(2);
-            } else {
-              newHref = langPrefix + '/' + href;
-            }
-          }
-          link.setAttribute('href', newHref);
-        }
-      });
+  // Client-side navigation: the router swaps the content and often the <title>
+  function watchNavigation() {
+    ['pushState', 'replaceState'].forEach(method => {
+      const original = history[method];
+      history[method] = function() {
+        const result = original.apply(this, arguments);
+        onNavigate();
+        return result;
+      };
+    });
+    
+    window.addEventListener('popstate', onNavigate);
+  }
+  
+  function onNavigate() {
+    queueNode(document.head);
+    queueNode(document.body);
+    scheduleFlush();
+  }
+  
+  function queueNode(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      // Our own writes come back as mutations too
+      if (translatedNodes.get(node) === node.nodeValue) return;
+    } else if (node.nodeType !== Node.ELEMENT_NODE) {
+      return;
     }
+    
+    // Formatted values are excluded from translation, but not from formatting
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    if (element && (!isExcluded(element) || element.closest(FORMAT_SELECTOR))) dirtyNodes.add(node);
+  }
+  
+  function scheduleFlush() {
+    if (paused || flushTimer || dirtyNodes.size === 0) return;
+    flushTimer = setTimeout(flushMutations, MUTATION_BATCH_DELAY);
+  }
+  
+  function flushMutations() {
+    flushTimer = null;
+    
+    // Nodes inside another queued node are covered by it
+    const nodes = [...dirtyNodes].filter(node => node.isConnected);
+    dirtyNodes.clear();
+    
+    const roots = nodes.filter(node => !nodes.some(other => other !== node && other.contains(node)));
+    if (roots.length > 0) translateNewNodes(roots);
+  }
+  
+  // Translate added or changed nodes with one set of requests for all of them
+  async function translateNewNodes(nodes) {
+    const textNodes = [];
+    const attrNodes = [];
+    
+    nodes.forEach(node => {
+      formatValues(node);
+      textNodes.push(...collectTextNodes(node));
+      attrNodes.push(...collectAttributeNodes(node));
+    });
+    
+    const texts = [
+      ...textNodes.map(n => n.nodeValue.trim()),
+      ...attrNodes.map(a => a.text)
+    ];
+    
+    nodes.forEach(node => rewriteInternalLinks(node));
+    if (texts.length === 0) return;
+    
+    await translateTexts(texts);
+    await applyTranslations(textNodes, attrNodes, texts);
+    translated(nodes);
   }
   
 })();
 </script>
 `;
 
-	return html.replace('</head>', `${script}\n</head>`);
+	return injectHtml(rewriter, script, { position: 'headEnd', marker: '#__ALTIFIED_AUTO_TRANSLATE__' });
 }
 
-function injectLanguageContext(html, lang) {
-	if (html.includes('__ALTIFIED_CONTEXT__')) return html;
+// Also defines window.Altified, the public API for the site's own scripts. The translation methods
+// are no-ops here; on translated pages injectAutoTranslation replaces them.
+function injectLanguageContext(rewriter, lang, site, pathname) {
+	const { slugs, routing } = site;
+	const hrefs = Object.fromEntries(getAllLanguages(routing).map((l) => [l, getLanguageHref(routing, slugs, l, pathname)]));
 
 	const script = `
 <script id="__ALTIFIED_CONTEXT__">
   window.__ALTIFIED_LANG__ = '${lang}';
-  document.documentElement.lang = '${lang}';
+  
+  window.Altified = (function () {
+    var LANGUAGE = '${lang}';
+    
+    // This page in every language
+    var HREFS = ${JSON.stringify(hrefs).replace(/</g, '\\u003c')};
+    
+    return {
+      getLanguage: function () {
+        return LANGUAGE;
+      },
+      
+      getLanguages: function () {
+        return Object.keys(HREFS);
+      },
+      
+      // Go to this page in another language and remember the choice
+      setLanguage: function (code) {
+        if (!Object.prototype.hasOwnProperty.call(HREFS, code)) {
+          throw new RangeError('Altified: unknown language "' + code + '"');
+        }
+        
+        document.cookie = '${CONFIG.LANG_COOKIE}=' + encodeURIComponent(code) + '${getLanguageCookieAttributes(routing)}';
+        if (code !== LANGUAGE) location.href = HREFS[code] + location.search + location.hash;
+      },
+      
+      translate: function (texts) {
+        return Promise.resolve(texts);
+      },
+      retranslate: function () {
+        return Promise.resolve();
+      },
+      ready: function () {
+        return Promise.resolve();
+      },
+      pause: function () {},
+      resume: function () {}
+    };
+  })();
 </script>
 `;
 
-	return html.replace(/<head[^>]*>/, (match) => match + script);
+	return injectHtml(rewriter, script, { position: 'headStart', marker: '#__ALTIFIED_CONTEXT__' });
 }
 
-function addHreflangLinks(html, pathname, projectConfig, domain) {
-	if (html.includes('hreflang=')) return html;
+/* ----------------------------------------
+   TEXT DIRECTION
+   lang and dir on <html> for translated pages, plus the
+   site's own right-to-left styles when it has them
+----------------------------------------- */
+const RTL_SCRIPTS = ['Arab', 'Hebr', 'Thaa', 'Syrc', 'Nkoo', 'Adlm', 'Rohg', 'Mand', 'Samr'];
 
-	const origin = domain; // Fallback if domain not set
-	const defaultLang = projectConfig.default_language || 'en';
-	const targetLangs = projectConfig.target_languages || [];
+// "ar", "he", "fa", "ur", "ckb", "az-Arab"... by their script, so regional codes work too
+function isRtlLanguage(lang) {
+	try {
+		return RTL_SCRIPTS.includes(new Intl.Locale(lang).maximize().script);
+	} catch (e) {
+		return false;
+	}
+}
 
-	let tags = `
-<link rel="alternate" hreflang="${defaultLang}" href="${origin}${pathname}" />
-`;
+// RTL_STYLESHEET: URL of a stylesheet for right-to-left pages, RTL_CSS: inline overrides
+function getRtlOptions(env, projectConfig) {
+	return {
+		stylesheet: getSetting(env, projectConfig, 'RTL_STYLESHEET') || '',
+		css: getSetting(env, projectConfig, 'RTL_CSS') || '',
+	};
+}
+
+function manageTextDirection(rewriter, lang, site) {
+	const { routing, rtl = getRtlOptions() } = site;
+	const dir = isRtlLanguage(lang) ? 'rtl' : 'ltr';
+
+	rewriter.on('html', {
+		element(el) {
+			el.setAttribute('lang', lang);
 
-	targetLangs.forEach((lang) => {
-		tags += `
-<link rel="alternate" hreflang="${lang}" href="${origin}/${lang}${pathname}" />`;
+			// Left alone when both languages are left-to-right and the origin doesn't set it
+			if (dir === 'rtl' || isRtlLanguage(routing.defaultLang) || el.hasAttribute('dir')) {
+				el.setAttribute('dir', dir);
+			}
+		},
 	});
 
-	tags += `
-<link rel="alternate" hreflang="x-default" href="${origin}${pathname}" />
-`;
+	if (dir !== 'rtl' || (!rtl.stylesheet && !rtl.css)) return rewriter;
+
+	const stylesheet = rtl.stylesheet
+		? `<link rel="stylesheet" href="${escapeXml(rtl.stylesheet)}" id="__ALTIFIED_RTL_STYLESHEET__" />\n`
+		: '';
+	const css = rtl.css ? `<style id="__ALTIFIED_RTL__">\n${rtl.css.replace(/<\/style/gi, '<\\/style')}\n</style>\n` : '';
+
+	// Last in <head>, so the overrides win over the page's own styles
+	return injectHtml(rewriter, `\n${stylesheet}${css}`, { position: 'headEnd', marker: '#__ALTIFIED_RTL__, #__ALTIFIED_RTL_STYLESHEET__' });
+}
 
-	return html.replace('</head>', `${tags}\n</head>`);
+// Subdomains share the preference cookie, separate domains can't
+function getLanguageCookieAttributes(routing) {
+	const domain = routing.strategy === 'subdomain' ? `; domain=${routing.baseHost}` : '';
+	return `; path=/; max-age=${CONFIG.LANG_COOKIE_MAX_AGE}; samesite=lax${domain}`;
 }
 
-function injectLanguageSwitcher(html, projectConfig, languageNames = {}) {
-	if (html.includes('altified-lang-switcher')) return html;
+/* ----------------------------------------
+   SEO HEAD MANAGEMENT
+   hreflang alternates, self-referencing canonicals, og:locale
+   and robots handling for every language version of a page
+----------------------------------------- */
+function manageSeoHead(rewriter, response, pathname, lang, site) {
+	const seo = {
+		noindex: isNoindex(response.headers.get('X-Robots-Tag')),
+		hreflangs: new Set(),
+		canonical: false,
+		ogLocale: false,
+	};
 
-	const defaultLang = projectConfig.default_language || 'en';
-	const targetLangs = projectConfig.target_languages || [];
+	// Meta robots come before </head>, where the tags below are written
+	rewriter.on('meta[name="robots"], meta[name="googlebot"]', {
+		element(el) {
+			if (isNoindex(el.getAttribute('content'))) seo.noindex = true;
+		},
+	});
+
+	addHreflangLinks(rewriter, pathname, site, seo);
+	manageCanonical(rewriter, pathname, lang, site, seo);
+	manageOgLocale(rewriter, lang, site, seo);
+
+	return rewriter;
+}
+
+function isNoindex(directives) {
+	return /(^|[\s,:])(noindex|none)([\s,]|$)/i.test(directives || '');
+}
+
+// Keeps the origin's hreflang tags and adds the missing languages
+function addHreflangLinks(rewriter, pathname, site, seo) {
+	const { slugs, routing } = site;
+	const defaultUrl = getLanguageUrl(routing, slugs, routing.defaultLang, pathname);
+
+	rewriter.on('link[rel="alternate"][hreflang]', {
+		element(el) {
+			seo.hreflangs.add(el.getAttribute('hreflang').toLowerCase());
+		},
+	});
+
+	return injectHtml(
+		rewriter,
+		() => {
+			// noindex pages don't belong in hreflang clusters
+			if (seo.noindex) return '';
+
+			const tags = getAllLanguages(routing)
+				.filter((lang) => !seo.hreflangs.has(lang.toLowerCase()))
+				.map(
+					(lang) => `<link rel="alternate" hreflang="${lang}" href="${escapeAttribute(getLanguageUrl(routing, slugs, lang, pathname))}" />`,
+				);
 
-	// Get language name from the map, fallback to uppercase code
-	const getLanguageName = (code) => languageNames[code] || code.toUpperCase();
+			if (!seo.hreflangs.has('x-default')) {
+				tags.push(`<link rel="alternate" hreflang="x-default" href="${escapeAttribute(defaultUrl)}" />`);
+			}
+
+			return tags.length ? `\n${tags.join('\n')}\n` : '';
+		},
+		{ position: 'headEnd' },
+	);
+}
+
+// Translated pages point their canonical to themselves, never to the default language
+function manageCanonical(rewriter, pathname, lang, site, seo) {
+	const { slugs, routing } = site;
+	if (lang === routing.defaultLang) return rewriter;
+
+	const pageUrl = getLanguageUrl(routing, slugs, routing.defaultLang, pathname);
+
+	rewriter.on('link[rel~="canonical"]', {
+		element(el) {
+			seo.canonical = true;
+
+			try {
+				const target = new URL(decodeEntities(el.getAttribute('href') || ''), pageUrl);
+				if (target.host.toLowerCase() !== routing.defaultHost) return;
+
+				el.setAttribute('href', escapeAttribute(getLanguageUrl(routing, slugs, lang, target.pathname) + target.search));
+			} catch (e) {
+				// Leave unparseable canonicals alone
+			}
+		},
+	});
+
+	return injectHtml(
+		rewriter,
+		() => {
+			if (seo.canonical || seo.noindex) return '';
+			return `\n<link rel="canonical" href="${escapeAttribute(getLanguageUrl(routing, slugs, lang, pathname))}" />\n`;
+		},
+		{ position: 'headEnd' },
+	);
+}
+
+function manageOgLocale(rewriter, lang, site, seo) {
+	const { routing } = site;
+	const translated = lang !== routing.defaultLang;
+
+	rewriter.on('meta[property="og:locale"]', {
+		element(el) {
+			seo.ogLocale = true;
+			if (translated) el.setAttribute('content', toOgLocale(lang));
+		},
+	});
+
+	// Replaced by the full list of languages
+	rewriter.on('meta[property="og:locale:alternate"]', {
+		element(el) {
+			el.remove();
+		},
+	});
+
+	return injectHtml(
+		rewriter,
+		() => {
+			const tags = getAllLanguages(routing)
+				.filter((l) => l !== lang)
+				.map((l) => `<meta property="og:locale:alternate" content="${toOgLocale(l)}" />`);
+
+			if (!seo.ogLocale) {
+				tags.unshift(`<meta property="og:locale" content="${toOgLocale(lang)}" />`);
+			}
+
+			return `\n${tags.join('\n')}\n`;
+		},
+		{ position: 'headEnd' },
+	);
+}
+
+// "es" -> "es_ES", "pt-BR" -> "pt_BR"
+function toOgLocale(lang) {
+	try {
+		const locale = new Intl.Locale(lang).maximize();
+		return locale.region ? `${locale.language}_${locale.region}` : locale.language;
+	} catch (e) {
+		return lang.replace('-', '_');
+	}
+}
+
+/* ----------------------------------------
+   LANGUAGE SWITCHER
+   Real links with hreflang: works without JS,
+   with the keyboard and with screen readers
+----------------------------------------- */
+const SWITCHER_VARIANTS = ['select', 'list', 'flags'];
+const SWITCHER_POSITIONS = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
+
+function getSwitcherOptions(env, projectConfig) {
+	const variant = String(getSetting(env, projectConfig, 'SWITCHER_VARIANT') || '').toLowerCase();
+	const position = String(getSetting(env, projectConfig, 'SWITCHER_POSITION') || '').toLowerCase();
+
+	// {"background": "#111827"} -> --altified-switcher-background: #111827
+	const theme = Object.entries(getJsonSetting(env, projectConfig, 'SWITCHER_THEME'))
+		.filter(([name, value]) => /^[a-z][a-z\d-]*$/i.test(name) && /^[^;{}<>]+$/.test(String(value)))
+		.map(([name, value]) => `--altified-switcher-${name.toLowerCase()}: ${value};`)
+		.join(' ');
+
+	return {
+		variant: SWITCHER_VARIANTS.includes(variant) ? variant : 'select',
+		position: SWITCHER_POSITIONS.includes(position) ? position : 'bottom-right',
+		labels: getSetting(env, projectConfig, 'SWITCHER_LABELS') === 'code' ? 'code' : 'name',
+		theme,
+	};
+}
+
+function injectLanguageSwitcher(rewriter, site, pathname, currentLang) {
+	const { languageNames = {}, slugs, routing, switcher = getSwitcherOptions() } = site;
 
-	// Generate language options with full names
-	const languageOptions = [
-		`<option value="${defaultLang}">${getLanguageName(defaultLang)}</option>`,
-		...targetLangs.map((l) => `<option value="${l}">${getLanguageName(l)}</option>`),
-	].join('');
+	// Every language with its name and the (localized) path of this page
+	const languages = getAllLanguages(routing).map((code) => ({
+		code,
+		// The parameter remembers the choice when JS is off (see handleLanguageChoice)
+		href: `${getLanguageHref(routing, slugs, code, pathname)}?${CONFIG.LANG_PARAM}=${encodeURIComponent(code)}`,
+		name: switcher.labels === 'code' ? code.toUpperCase() : getNativeLanguageName(code, languageNames),
+		flag: getFlagEmoji(code),
+	}));
+
+	// Opt-in placement: <div data-altified-switcher></div>, or data-altified-switcher="list" for another variant
+	let placed = false;
+	rewriter.on('[data-altified-switcher]', {
+		element(el) {
+			const variant = (el.getAttribute('data-altified-switcher') || '').toLowerCase();
+			el.setInnerContent(renderLanguageSwitcher(languages, currentLang, SWITCHER_VARIANTS.includes(variant) ? variant : switcher.variant), {
+				html: true,
+			});
+			placed = true;
+		},
+	});
 
-	const switcher = `
+	const assets = `
 <style>
-.altified-lang-switcher { 
-  position: fixed; 
-  bottom: 20px; 
-  right: 20px; 
-  z-index: 999999; 
-  background: #fff; 
-  border: 1px solid #e5e7eb; 
-  border-radius: 8px; 
-  padding: 8px 12px; 
-  font-family: system-ui, sans-serif; 
+.altified-switcher {${switcher.theme ? ` ${switcher.theme} ` : ''}
+  font-family: var(--altified-switcher-font, system-ui, sans-serif);
+  font-size: var(--altified-switcher-font-size, 14px);
+  color: var(--altified-switcher-color, #111827);
+}
+.altified-switcher--floating,
+.altified-switcher--select .altified-switcher__list {
+  background: var(--altified-switcher-background, #fff);
+  border: 1px solid var(--altified-switcher-border, #e5e7eb);
+  border-radius: var(--altified-switcher-radius, 8px);
   box-shadow: 0 6px 16px rgba(0,0,0,.12);
 }
-.altified-lang-switcher select { 
-  border: none; 
-  outline: none; 
-  background: transparent; 
-  font-size: 14px; 
-  cursor: pointer;
-  padding: 4px;
+.altified-switcher--floating { position: fixed; z-index: 999999; padding: 8px 12px; }
+.altified-switcher--bottom-right { bottom: 20px; right: 20px; }
+.altified-switcher--bottom-left { bottom: 20px; left: 20px; }
+.altified-switcher--top-right { top: 20px; right: 20px; }
+.altified-switcher--top-left { top: 20px; left: 20px; }
+.altified-switcher__list { list-style: none; margin: 0; padding: 0; }
+.altified-switcher--list .altified-switcher__list,
+.altified-switcher--flags .altified-switcher__list { display: flex; flex-wrap: wrap; gap: 4px; }
+.altified-switcher a { display: block; padding: 4px 8px; border-radius: 4px; color: inherit; text-decoration: none; }
+.altified-switcher a:hover,
+.altified-switcher a:focus-visible { background: var(--altified-switcher-hover, #f3f4f6); }
+.altified-switcher a[aria-current] { font-weight: 600; }
+.altified-switcher--select details { position: relative; }
+.altified-switcher--select summary { padding: 4px; cursor: pointer; list-style: none; }
+.altified-switcher--select summary::-webkit-details-marker { display: none; }
+.altified-switcher--select .altified-switcher__list { position: absolute; top: 100%; right: 0; z-index: 1; min-width: 100%; margin-top: 8px; padding: 4px; white-space: nowrap; }
+.altified-switcher--bottom-right .altified-switcher__list,
+.altified-switcher--bottom-left .altified-switcher__list { top: auto; bottom: 100%; margin: 0 0 8px; }
+.altified-switcher--bottom-left .altified-switcher__list,
+.altified-switcher--top-left .altified-switcher__list { right: auto; left: 0; }
+.altified-switcher--flags .altified-switcher__name {
+  position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;
 }
 </style>
 
-<div class="altified-lang-switcher">
-  <select id="altified-lang-select">
-    <option value="">🌐 Language</option>
-    ${languageOptions}
-  </select>
-</div>
-
 <script>
 (function () {
-  var select = document.getElementById('altified-lang-select');
-  if (!select) return;
+  function closeMenus(except) {
+    document.querySelectorAll('.altified-switcher details[open]').forEach(function (details) {
+      if (details !== except) details.open = false;
+    });
+  }
 
-  var defaultLang = '${defaultLang}';
-  var match = window.location.pathname.match(/^\\/([a-z]{2})(\\/|$)/);
-  var currentLang = match ? match[1] : defaultLang;
-  select.value = currentLang;
+  document.addEventListener('click', function (event) {
+    var target = event.target instanceof Element ? event.target : null;
+    closeMenus(target && target.closest('.altified-switcher details'));
 
-  select.addEventListener('change', function () {
-    var newLang = this.value;
-    if (!newLang || newLang === currentLang) return;
+    var link = target && target.closest('.altified-switcher a[hreflang]');
+    if (!link) return;
 
-    var currentPath = window.location.pathname;
-    var cleanPath = currentPath.replace(/^\\/[a-z]{2}(\\/|$)/, '/');
-    if (!cleanPath.startsWith('/')) cleanPath = '/' + cleanPath;
-    
-    var newPath = newLang === defaultLang ? cleanPath : '/' + newLang + cleanPath;
-    
-    window.location.href = newPath + window.location.search + window.location.hash;
+    // Remember the explicit choice so the worker stops negotiating
+    document.cookie = '${CONFIG.LANG_COOKIE}=' + encodeURIComponent(link.getAttribute('hreflang')) + '${getLanguageCookieAttributes(routing)}';
+
+    // The cookie is set, so the page loads without the choice parameter, with this page's query string and fragment
+    link.href = link.href.split('?')[0] + location.search + location.hash;
+  });
+
+  document.addEventListener('keydown', function (event) {
+    if (event.key !== 'Escape') return;
+
+    var open = document.activeElement && document.activeElement.closest && document.activeElement.closest('.altified-switcher details[open]');
+    closeMenus();
+    if (open) open.querySelector('summary').focus();
   });
 })();
 </script>
 `;
 
-	return html.replace('</body>', `${switcher}\n</body>`);
+	// Right-to-left pages get the mirrored corner
+	const position = isRtlLanguage(currentLang)
+		? switcher.position.replace(/left|right/, (side) => (side === 'left' ? 'right' : 'left'))
+		: switcher.position;
+
+	return injectHtml(rewriter, () => (placed ? '' : renderLanguageSwitcher(languages, currentLang, switcher.variant, position)) + assets, {
+		position: 'bodyEnd',
+		marker: '.altified-switcher',
+	});
+}
+
+// Floating when `position` is given, inline (placeholder) otherwise
+function renderLanguageSwitcher(languages, currentLang, variant, position = null) {
+	const current = languages.find((l) => l.code === currentLang) || languages[0];
+	const classes = ['altified-switcher', `altified-switcher--${variant}`];
+	if (position) classes.push('altified-switcher--floating', `altified-switcher--${position}`);
+
+	const links = languages
+		.map((l) => {
+			const name = escapeXml(l.name);
+			const label =
+				variant === 'flags' && l.flag
+					? `<span aria-hidden="true">${l.flag}</span><span class="altified-switcher__name">${name}</span>`
+					: name;
+			const ariaCurrent = l.code === currentLang ? ' aria-current="true"' : '';
+
+			return `<li><a href="${escapeXml(l.href)}" hreflang="${l.code}" lang="${l.code}" title="${name}"${ariaCurrent}>${label}</a></li>`;
+		})
+		.join('');
+
+	const list = `<ul class="altified-switcher__list">${links}</ul>`;
+	const content =
+		variant === 'select'
+			? `<details><summary><span aria-hidden="true">🌐</span> <span lang="${current.code}">${escapeXml(current.name)}</span></summary>${list}</details>`
+			: list;
+
+	return `<nav class="${classes.join(' ')}" aria-label="Language" translate="no">${content}</nav>`;
+}
+
+// Names from the API first, then the language's name in itself ("de" -> "Deutsch")
+function getNativeLanguageName(code, languageNames) {
+	if (languageNames[code]) return languageNames[code];
+
+	try {
+		const name = new Intl.DisplayNames([code], { type: 'language' }).of(code);
+		if (name && name !== code) return name.charAt(0).toLocaleUpperCase(code) + name.slice(1);
+	} catch (e) {
+		// Unknown to Intl
+	}
+	return code.toUpperCase();
+}
+
+// "pt-BR" -> 🇧🇷, "es" -> 🇪🇸 (likely region). Empty when there's none.
+function getFlagEmoji(code) {
+	try {
+		const { region } = new Intl.Locale(code).maximize();
+		if (!region || !/^[A-Z]{2}$/.test(region)) return '';
+		return String.fromCodePoint(...[...region].map((c) => 0x1f1a5 + c.charCodeAt(0)));
+	} catch (e) {
+		return '';
+	}
 }
@@ -0,0 +1,151 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setupFetchMock, mockBackend, mockOrigin, fetchWorker, SITE } from './helpers';
+
+const adminEnv = { ...env, ALTIFIED_ADMIN_SECRET: 's3cret' };
+const AUTH = { Authorization: 'Bearer s3cret', 'Content-Type': 'application/json' };
+const PAGE = '<html><head></head><body><p>Hello</p></body></html>';
+
+function admin(action, init = {}) {
+	return fetchWorker(`${SITE}/__altified/admin/${action}`, adminEnv, { headers: AUTH, ...init });
+}
+
+function purge(body) {
+	return admin('purge', { method: 'POST', body: JSON.stringify(body) });
+}
+
+beforeEach(setupFetchMock);
+
+describe('admin authentication', () => {
+	it('is not found until a secret is configured', async () => {
+		mockBackend();
+
+		const response = await fetchWorker(`${SITE}/__altified/admin/inspect?url=/`, env, { headers: AUTH });
+
+		expect(response.status).toBe(404);
+	});
+
+	it.each([
+		['no token', {}],
+		['a wrong token', { Authorization: 'Bearer s3cre' }],
+		['another scheme', { Authorization: 'Basic s3cret' }],
+	])('rejects %s', async (_, headers) => {
+		mockBackend();
+
+		const response = await fetchWorker(`${SITE}/__altified/admin/inspect?url=/`, adminEnv, { headers });
+
+		expect(response.status).toBe(401);
+		expect(response.headers.get('WWW-Authenticate')).toBe('Bearer');
+	});
+
+	it('accepts the secret as a bearer token', async () => {
+		mockBackend();
+
+		const response = await admin('inspect?url=/about');
+
+		expect(response.status).toBe(200);
+	});
+
+	it('checks the method and action', async () => {
+		mockBackend();
+
+		expect((await admin('purge')).status).toBe(405);
+		expect((await admin('unknown')).status).toBe(404);
+	});
+});
+
+describe('admin purge', () => {
+	// Serves each page once so it is in the page cache, returns the origin requests
+	async function cachePages(paths) {
+		const origin = mockOrigin((path) => path.startsWith('/blog') || path.startsWith('/shop'), PAGE);
+		for (const path of paths) await fetchWorker(`${SITE}${path}`, adminEnv);
+		for (const path of paths) await fetchWorker(`${SITE}${path}`, adminEnv);
+		expect(origin).toHaveLength(paths.length);
+		return origin;
+	}
+
+	async function isCached(path) {
+		const response = await fetchWorker(`${SITE}${path}`, adminEnv);
+		await response.text();
+		return response.headers.get('X-Altified-Cache') === 'HIT';
+	}
+
+	it('purges a single page', async () => {
+		mockBackend();
+		await cachePages(['/es/blog/a', '/de/blog/a']);
+
+		const response = await purge({ url: `${SITE}/es/blog/a` });
+
+		expect(response.status).toBe(200);
+		expect((await response.json()).purged).toEqual({ language: 'es', path: '/blog/a' });
+		expect(await isCached('/es/blog/a')).toBe(false);
+		expect(await isCached('/de/blog/a')).toBe(true);
+	});
+
+	it('purges a language', async () => {
+		mockBackend();
+		await cachePages(['/es/blog/a', '/es/shop', '/de/shop']);
+
+		await purge({ language: 'es' });
+
+		expect(await isCached('/es/blog/a')).toBe(false);
+		expect(await isCached('/es/shop')).toBe(false);
+		expect(await isCached('/de/shop')).toBe(true);
+	});
+
+	it('purges a path prefix in every language', async () => {
+		mockBackend();
+		await cachePages(['/es/blog/a', '/de/blog/a', '/es/shop']);
+
+		await purge({ prefix: '/blog' });
+
+		expect(await isCached('/es/blog/a')).toBe(false);
+		expect(await isCached('/de/blog/a')).toBe(false);
+		expect(await isCached('/es/shop')).toBe(true);
+	});
+
+	it('purges everything', async () => {
+		mockBackend();
+		await cachePages(['/es/blog/a', '/de/shop']);
+
+		await purge({ all: true });
+
+		expect(await isCached('/es/blog/a')).toBe(false);
+		expect(await isCached('/de/shop')).toBe(false);
+	});
+
+	it.each([
+		['no scope', {}],
+		['two scopes', { language: 'es', all: true }],
+		['a language that is not enabled', { language: 'fr' }],
+		['the default language', { language: 'en' }],
+		['a relative prefix', { prefix: 'blog' }],
+		['a default-language page', { url: `${SITE}/blog/a` }],
+		['all without true', { all: 'yes' }],
+	])('rejects %s', async (_, body) => {
+		mockBackend();
+
+		const response = await purge(body);
+
+		expect(response.status).toBe(400);
+	});
+});
+
+describe('admin refresh', () => {
+	it('reloads the project config', async () => {
+		mockBackend();
+
+		const response = await admin('refresh', { method: 'POST' });
+
+		expect(response.status).toBe(200);
+		expect(await response.json()).toMatchObject({ refreshed: true, default_language: 'en', target_languages: ['es', 'de'] });
+	});
+
+	it('answers 502 when the project config is unavailable', async () => {
+		mockBackend({ config: () => ({ statusCode: 503, data: 'Unavailable' }) });
+
+		const response = await admin('refresh', { method: 'POST' });
+
+		expect(response.status).toBe(502);
+	});
+});
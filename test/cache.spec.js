@@ -0,0 +1,226 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { setupFetchMock, mockBackend, mockOrigin, fetchWorker, SITE } from './helpers';
+
+const PAGE = '<html><head></head><body><p>Hello</p></body></html>';
+const HTML = 'text/html; charset=utf-8';
+
+async function get(path, init, workerEnv = env) {
+	const response = await fetchWorker(`${SITE}${path}`, workerEnv, init);
+	await response.text();
+	return response;
+}
+
+beforeEach(() => {
+	setupFetchMock();
+	vi.useFakeTimers({ toFake: ['Date'] });
+	vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+});
+
+afterEach(() => {
+	vi.useRealTimers();
+});
+
+describe('page cache', () => {
+	it('stores a translated page and serves it to the next visitor', async () => {
+		mockBackend();
+		const origin = mockOrigin('/about', PAGE, { headers: { 'Content-Type': HTML, 'Cache-Control': 'public, max-age=600' } });
+
+		const miss = await get('/es/about');
+		const hit = await get('/es/about');
+
+		expect(miss.headers.get('X-Altified-Cache')).toBe('MISS');
+		expect(hit.headers.get('X-Altified-Cache')).toBe('HIT');
+		expect(hit.headers.get('Cache-Control')).toBe('public, max-age=600');
+		expect(hit.headers.get('X-Altified-TTL')).toBeNull();
+		expect(origin).toHaveLength(1);
+	});
+
+	it('keeps one copy per language', async () => {
+		mockBackend();
+		const origin = mockOrigin('/about', PAGE);
+
+		await get('/es/about');
+		const de = await get('/de/about');
+
+		expect(de.headers.get('X-Altified-Cache')).toBe('MISS');
+		expect(origin).toHaveLength(2);
+	});
+
+	it.each([
+		['Cache-Control: private', { 'Cache-Control': 'private, max-age=600' }],
+		['Cache-Control: no-store', { 'Cache-Control': 'no-store' }],
+		['Cache-Control: no-cache', { 'Cache-Control': 'no-cache' }],
+		['max-age=0', { 'Cache-Control': 'max-age=0' }],
+		['Set-Cookie', { 'Set-Cookie': 'session=abc; Path=/' }],
+		['Vary: Cookie', { Vary: 'Accept-Encoding, Cookie' }],
+		['Vary: User-Agent', { Vary: 'User-Agent' }],
+	])('never stores pages sent with %s', async (_, headers) => {
+		mockBackend();
+		const origin = mockOrigin('/account', PAGE, { headers: { 'Content-Type': HTML, ...headers } });
+
+		await get('/es/account');
+		const second = await get('/es/account');
+
+		expect(second.headers.get('X-Altified-Cache')).toBe('MISS');
+		expect(origin).toHaveLength(2);
+	});
+
+	it('never stores error pages', async () => {
+		mockBackend();
+		const origin = mockOrigin('/missing', PAGE, { status: 404 });
+
+		await get('/es/missing');
+		await get('/es/missing');
+
+		expect(origin).toHaveLength(2);
+	});
+
+	it.each([
+		['a session cookie', { Cookie: '_ga=GA1.1; session=abc' }],
+		['an Authorization header', { Authorization: 'Basic dXNlcjpwYXNz' }],
+	])('bypasses the cache for requests with %s', async (_, headers) => {
+		mockBackend();
+		const origin = mockOrigin('/about', PAGE);
+
+		await get('/es/about');
+		const personal = await get('/es/about', { headers });
+
+		expect(personal.headers.get('X-Altified-Cache')).toBe('BYPASS');
+		expect(origin).toHaveLength(2);
+
+		// ...and doesn't store what it got
+		const next = await get('/es/about');
+		expect(next.headers.get('X-Altified-Cache')).toBe('HIT');
+		expect(origin).toHaveLength(2);
+	});
+
+	it('serves cached pages despite analytics and language cookies', async () => {
+		mockBackend();
+		const origin = mockOrigin('/about', PAGE);
+
+		await get('/es/about');
+		const hit = await get('/es/about', { headers: { Cookie: '_ga=GA1.1; _gid=x; altified_lang=es' } });
+
+		expect(hit.headers.get('X-Altified-Cache')).toBe('HIT');
+		expect(origin).toHaveLength(1);
+	});
+
+	it('bypasses the cache for other methods', async () => {
+		mockBackend();
+		const origin = mockOrigin('/form', PAGE);
+
+		const response = await get('/es/form', { method: 'POST', body: 'a=1' });
+
+		expect(response.headers.get('X-Altified-Cache')).toBe('BYPASS');
+		expect(origin).toHaveLength(1);
+	});
+
+	it('can be turned off', async () => {
+		mockBackend();
+		const origin = mockOrigin('/about', PAGE);
+
+		await get('/es/about', undefined, { ...env, PAGE_CACHE: 'false' });
+		const second = await get('/es/about', undefined, { ...env, PAGE_CACHE: 'false' });
+
+		expect(second.headers.get('X-Altified-Cache')).toBe('BYPASS');
+		expect(origin).toHaveLength(2);
+	});
+
+	it('ignores tracking parameters and parameter order in the key', async () => {
+		mockBackend();
+		const origin = mockOrigin((path) => path.startsWith('/list'), PAGE);
+
+		await get('/es/list?b=2&a=1&utm_source=mail');
+		expect((await get('/es/list?a=1&b=2&fbclid=x')).headers.get('X-Altified-Cache')).toBe('HIT');
+		expect((await get('/es/list?a=1&b=3')).headers.get('X-Altified-Cache')).toBe('MISS');
+		expect(origin).toHaveLength(2);
+	});
+
+	it('starts over when the project config changes', async () => {
+		const adminEnv = { ...env, ALTIFIED_ADMIN_SECRET: 's3cret' };
+		let config = { default_language: 'en', target_languages: ['es', 'de'] };
+		mockBackend({ config: () => ({ statusCode: 200, data: config }) });
+		const origin = mockOrigin('/about', PAGE);
+
+		await get('/es/about', undefined, adminEnv);
+		config = { default_language: 'en', target_languages: ['es', 'de', 'fr'] };
+		await fetchWorker(`${SITE}/__altified/admin/refresh`, adminEnv, { method: 'POST', headers: { Authorization: 'Bearer s3cret' } });
+
+		const response = await get('/es/about', undefined, adminEnv);
+
+		expect(response.headers.get('X-Altified-Cache')).toBe('MISS');
+		expect(origin).toHaveLength(2);
+	});
+});
+
+describe('stale-while-revalidate', () => {
+	it('serves the stale copy and refreshes it in the background', async () => {
+		mockBackend();
+		const origin = mockOrigin('/news', PAGE, {
+			headers: { 'Content-Type': HTML, 'Cache-Control': 'max-age=60, stale-while-revalidate=600' },
+		});
+
+		await get('/es/news');
+		vi.setSystemTime(new Date('2026-01-01T00:02:00Z'));
+
+		const stale = await get('/es/news');
+		expect(stale.headers.get('X-Altified-Cache')).toBe('STALE');
+		expect(stale.headers.get('Age')).toBe('120');
+		expect(origin).toHaveLength(2);
+
+		const fresh = await get('/es/news');
+		expect(fresh.headers.get('X-Altified-Cache')).toBe('HIT');
+		expect(origin).toHaveLength(2);
+	});
+});
+
+describe('purge log', () => {
+	const adminEnv = { ...env, ALTIFIED_ADMIN_SECRET: 's3cret' };
+
+	function purge(body) {
+		return fetchWorker(`${SITE}/__altified/admin/purge`, adminEnv, {
+			method: 'POST',
+			headers: { Authorization: 'Bearer s3cret', 'Content-Type': 'application/json' },
+			body: JSON.stringify(body),
+		});
+	}
+
+	it('drops pages cached before a matching purge only', async () => {
+		mockBackend();
+		const origin = mockOrigin((path) => path.startsWith('/blog') || path === '/shop', PAGE);
+
+		await get('/es/blog/a', undefined, adminEnv);
+		await get('/es/shop', undefined, adminEnv);
+		vi.setSystemTime(new Date('2026-01-01T00:00:10Z'));
+		await purge({ prefix: '/blog' });
+		vi.setSystemTime(new Date('2026-01-01T00:00:20Z'));
+
+		expect((await get('/es/shop', undefined, adminEnv)).headers.get('X-Altified-Cache')).toBe('HIT');
+		expect((await get('/es/blog/a', undefined, adminEnv)).headers.get('X-Altified-Cache')).toBe('MISS');
+		expect(origin).toHaveLength(3);
+
+		// Cached again after the purge
+		expect((await get('/es/blog/a', undefined, adminEnv)).headers.get('X-Altified-Cache')).toBe('HIT');
+		expect(origin).toHaveLength(3);
+	});
+
+	it('keeps old purges in effect past the size of the log', async () => {
+		mockBackend();
+		const origin = mockOrigin((path) => path.startsWith('/blog') || path === '/shop', PAGE);
+
+		await get('/es/blog/a', undefined, adminEnv);
+		vi.setSystemTime(new Date('2026-01-01T00:00:10Z'));
+		await purge({ prefix: '/blog' });
+		vi.setSystemTime(new Date('2026-01-01T00:00:20Z'));
+		for (let i = 0; i < 100; i++) {
+			await purge({ prefix: `/archive/${i}` });
+		}
+		vi.setSystemTime(new Date('2026-01-01T00:00:30Z'));
+		await get('/es/shop', undefined, adminEnv);
+
+		expect((await get('/es/blog/a', undefined, adminEnv)).headers.get('X-Altified-Cache')).toBe('MISS');
+		expect((await get('/es/shop', undefined, adminEnv)).headers.get('X-Altified-Cache')).toBe('HIT');
+		expect(origin).toHaveLength(3);
+	});
+});
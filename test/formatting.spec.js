@@ -0,0 +1,62 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setupFetchMock, mockBackend, mockOrigin, fetchWorker, getInlineScripts, SITE } from './helpers';
+
+const PAGE =
+	'<html><head></head><body>' +
+	'<span id="number" data-altified-number>1,299.5</span>' +
+	'<span id="decimals" data-altified-number="1299.5" data-altified-decimals="2"></span>' +
+	'<span id="price" data-altified-currency="USD">$1,299.00</span>' +
+	'<span id="converted" data-altified-currency="USD" data-altified-amount="100"></span>' +
+	'<time id="date" data-altified-date="2025-03-04">03/04/2025</time>' +
+	'<span id="invalid" data-altified-number>n/a</span>' +
+	'</body></html>';
+
+const formattingEnv = { ...env, TRANSLATION_MODE: 'edge', LOCALE_CURRENCIES: '{"de": "EUR"}', EXCHANGE_RATES: '{"USD": 1, "EUR": 0.9}' };
+
+function getText(html, id) {
+	return html.match(new RegExp(`id="${id}"[^>]*>([^<]*)<`))[1].replace(/\u00a0/g, ' ');
+}
+
+beforeEach(setupFetchMock);
+
+describe('locale formatting', () => {
+	it('formats marked values for the page language', async () => {
+		const calls = mockBackend();
+		mockOrigin('/pricing', PAGE);
+
+		const html = await (await fetchWorker(`${SITE}/de/pricing`, formattingEnv)).text();
+
+		expect(getText(html, 'number')).toBe('1.299,5');
+		expect(getText(html, 'decimals')).toBe('1.299,50');
+		expect(getText(html, 'price')).toBe('1.169,10 €');
+		expect(getText(html, 'converted')).toBe('90,00 €');
+		expect(getText(html, 'date')).toBe('04.03.2025');
+		expect(getText(html, 'invalid')).toBe('n/a');
+		expect(html).toContain('data-altified-formatted');
+		expect(calls.flatMap((call) => call.texts)).not.toContain('1,299.5');
+	});
+
+	it('keeps prices in their currency without exchange rates', async () => {
+		mockBackend();
+		mockOrigin('/pricing', PAGE);
+
+		const html = await (await fetchWorker(`${SITE}/de/pricing`, { ...env, TRANSLATION_MODE: 'edge' })).text();
+
+		expect(getText(html, 'price')).toBe('1.299,00 $');
+	});
+
+	it('gives the client script the same formatting functions', async () => {
+		mockBackend();
+		mockOrigin('/pricing', PAGE);
+
+		const html = await (await fetchWorker(`${SITE}/de/pricing`, formattingEnv)).text();
+		const script = getInlineScripts(html).find((source) => source.includes('function formatLocaleValue('));
+
+		expect(script).toBeDefined();
+		expect(() => new Function(script)).not.toThrow();
+		for (const name of ['getFormatAttributeValue', 'parseFormatNumber', 'parseFormatDate', 'convertCurrency']) {
+			expect(script).toContain(`function ${name}(`);
+		}
+	});
+});
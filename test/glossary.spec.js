@@ -0,0 +1,80 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setupFetchMock, mockBackend, mockOrigin, fetchWorker, SITE } from './helpers';
+
+const glossaryEnv = {
+	...env,
+	TRANSLATION_MODE: 'edge',
+	GLOSSARY: JSON.stringify({ do_not_translate: ['AirMax'], terms: { es: { 'gift card': 'tarjeta regalo' } } }),
+};
+
+// Upper-cases like the default mock, but loses the placeholder of one text
+function translate(text) {
+	return text === 'Keep __AG0__ safe' ? 'GUARDAR SEGURO' : text.toUpperCase();
+}
+
+beforeEach(setupFetchMock);
+
+describe('glossary at the edge', () => {
+	const body = '<p>Buy AirMax today</p><p>Use a Gift Card</p><p>AirMax</p><p>Keep AirMax safe</p>';
+
+	async function translatePage(lang) {
+		mockOrigin('/shop', `<html><head></head><body>${body}</body></html>`);
+		return (await fetchWorker(`${SITE}/${lang}/shop`, glossaryEnv)).text();
+	}
+
+	it('sends terms as placeholders and puts them back', async () => {
+		const calls = mockBackend({ translate });
+
+		const html = await translatePage('es');
+
+		const sent = calls.flatMap((call) => call.texts);
+		expect(sent).toEqual(expect.arrayContaining(['Buy __AG0__ today', 'Use a __AG0__', 'Keep __AG0__ safe']));
+		expect(sent).not.toContain('AirMax');
+		expect(html).toContain('<p>BUY AirMax TODAY</p>');
+		expect(html).toContain('<p>USE A tarjeta regalo</p>');
+		expect(html).toContain('<p>AirMax</p>');
+	});
+
+	it('keeps the original when a translation loses a term', async () => {
+		mockBackend({ translate });
+
+		const html = await translatePage('es');
+
+		expect(html).toContain('<p>Keep AirMax safe</p>');
+		expect(html).not.toContain('GUARDAR SEGURO');
+	});
+
+	it('only forces the terms of the page language', async () => {
+		const calls = mockBackend({ translate });
+
+		const html = await translatePage('de');
+
+		expect(calls.flatMap((call) => call.texts)).toContain('Use a Gift Card');
+		expect(html).toContain('<p>USE A GIFT CARD</p>');
+		expect(html).toContain('<p>BUY AirMax TODAY</p>');
+	});
+});
+
+describe('glossary in the translate proxy', () => {
+	it('applies the same terms to texts from the client script', async () => {
+		const calls = mockBackend({ translate });
+
+		const response = await fetchWorker(`${SITE}/__altified/translate`, glossaryEnv, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', Origin: SITE },
+			body: JSON.stringify({ language: 'es', texts: ['Buy AirMax today', 'Gift card', 'Keep AirMax safe'] }),
+		});
+
+		// The text that lost its term is left out, so the browser keeps the original
+		const { translations } = await response.json();
+		expect(translations).toHaveLength(2);
+		expect(translations).toEqual(
+			expect.arrayContaining([
+				{ original: 'Buy AirMax today', translated: 'BUY AirMax TODAY' },
+				{ original: 'Gift card', translated: 'tarjeta regalo' },
+			]),
+		);
+		expect(calls.flatMap((call) => call.texts)).toEqual(['Buy __AG0__ today', 'Keep __AG0__ safe']);
+	});
+});
@@ -0,0 +1,96 @@
+import { fetchMock, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import worker from '../src';
+
+export const BACKEND = 'https://api.altified.com';
+export const SITE = 'https://www.luftshoes.com';
+
+export const PROJECT_CONFIG = { default_language: 'en', target_languages: ['es', 'de'] };
+
+// Interceptors outlive a test, so each host gets a single one that dispatches to the
+// handlers of the current test (reset by setupFetchMock)
+let routes = [];
+const interceptedHosts = new Set();
+
+function route(origin, path, method, handler) {
+	routes.unshift({ origin, path, method, handler });
+
+	if (interceptedHosts.has(origin)) return;
+	interceptedHosts.add(origin);
+
+	fetchMock
+		.get(origin)
+		.intercept({ path: () => true, method: () => true })
+		.reply((request) => {
+			const match = routes.find(
+				(r) =>
+					r.origin === origin &&
+					(!r.method || r.method === request.method) &&
+					(typeof r.path === 'function' ? r.path(request.path) : r.path === request.path),
+			);
+			return match ? match.handler(request) : { statusCode: 599, data: `Unexpected ${request.method} ${origin}${request.path}` };
+		})
+		.persist();
+}
+
+export function setupFetchMock() {
+	routes = [];
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+}
+
+// Mocks the Altified backend. Translations are upper-cased unless `translate` says otherwise.
+// Returns the bodies sent to /translate/.
+export function mockBackend({ config = PROJECT_CONFIG, translate = (text) => text.toUpperCase(), slugs = [] } = {}) {
+	const calls = [];
+	const json = (data, statusCode = 200) => ({ statusCode, data });
+
+	route(
+		BACKEND,
+		(path) => path.startsWith('/plan-status/'),
+		'GET',
+		() => (typeof config === 'function' ? config() : json(config)),
+	);
+	route(BACKEND, '/languages/', 'GET', () =>
+		json({
+			languages: [
+				{ code: 'en', name: 'English' },
+				{ code: 'es', name: 'Español' },
+				{ code: 'de', name: 'Deutsch' },
+			],
+		}),
+	);
+	route(
+		BACKEND,
+		(path) => path.startsWith('/slugs/'),
+		'GET',
+		() => json({ slugs }),
+	);
+	route(BACKEND, '/translate/', 'POST', (request) => {
+		const body = JSON.parse(request.body);
+		calls.push(body);
+		return json({ translations: body.texts.map((text) => ({ original: text, translated: translate(text, body.language) })) });
+	});
+
+	return calls;
+}
+
+// Mocks the origin for `path` (a string or a predicate). Returns the requests it received.
+export function mockOrigin(path, body, { headers = { 'content-type': 'text/html; charset=utf-8' }, status = 200, origin = SITE } = {}) {
+	const calls = [];
+	route(origin, path, null, (request) => {
+		calls.push(request);
+		return { statusCode: status, data: body, responseOptions: { headers } };
+	});
+	return calls;
+}
+
+export async function fetchWorker(url, env, init) {
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(new Request(url, init), env, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+export function getInlineScripts(html) {
+	return [...html.matchAll(/<script(?![^>]*\bsrc=)[^>]*>([\s\S]*?)<\/script>/g)].map((match) => match[1]);
+}
@@ -1,20 +1,74 @@
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
-import { describe, it, expect } from 'vitest';
-import worker from '../src';
-
-describe('Hello World worker', () => {
-	it('responds with Hello World! (unit style)', async () => {
-		const request = new Request('http://example.com');
-		// Create an empty context to pass to `worker.fetch()`.
-		const ctx = createExecutionContext();
-		const response = await worker.fetch(request, env, ctx);
-		// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
-		await waitOnExecutionContext(ctx);
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setupFetchMock, mockBackend, mockOrigin, fetchWorker, getInlineScripts, SITE } from './helpers';
+
+const PAGE =
+	'<html><head><title>Hi &amp; bye</title><meta name="description" content="Shoes"></head>' +
+	'<body><p>Hello <img alt="Shoe"></p><div translate="no">Luft</div><script>var label = "Hello";</script></body></html>';
+
+beforeEach(setupFetchMock);
+
+describe('edge mode', () => {
+	const edgeEnv = { ...env, TRANSLATION_MODE: 'edge' };
+
+	it('translates text, attributes and metadata before the page is sent', async () => {
+		const calls = mockBackend();
+		mockOrigin('/about', PAGE);
+
+		const response = await fetchWorker(`${SITE}/es/about`, edgeEnv);
+		const html = await response.text();
+
+		expect(response.status).toBe(200);
+		expect(html).toContain('<title>HI &amp; BYE</title>');
+		expect(html).toContain('content="SHOES"');
+		expect(html).toContain('<p>HELLO <img alt="SHOE"></p>');
+		expect(html).toContain('<div translate="no">Luft</div>');
+		expect(html).toContain('var label = "Hello";');
+		expect(html).not.toContain('<style id="__ALTIFIED_BLUR__">');
+		expect(calls.flatMap((call) => call.texts)).not.toContain('Luft');
+	});
+
+	it('decodes named entities before translating and escapes the result once', async () => {
+		const calls = mockBackend();
+		mockOrigin(
+			'/e',
+			'<html><head><title>Caf&eacute;</title></head><body><p>Caf&eacute; for 5&euro; &amp; more</p><img alt="na&iuml;ve"></body></html>',
+		);
+
+		const html = await (await fetchWorker(`${SITE}/es/e`, edgeEnv)).text();
+
+		expect(calls.flatMap((call) => call.texts)).toEqual(expect.arrayContaining(['Café', 'Café for 5€ & more', 'naïve']));
+		expect(html).toContain('<title>CAFÉ</title>');
+		expect(html).toContain('<p>CAFÉ FOR 5€ &amp; MORE</p>');
+		expect(html).toContain('alt="NAÏVE"');
+	});
+
+	it('leaves the default language untouched', async () => {
+		const calls = mockBackend();
+		mockOrigin('/about', PAGE);
+
+		const html = await (await fetchWorker(`${SITE}/about`, edgeEnv)).text();
+
+		expect(html).toContain('<title>Hi &amp; bye</title>');
+		expect(calls).toHaveLength(0);
 	});
+});
+
+describe('client mode', () => {
+	it('serves the original page with a working translation script', async () => {
+		const calls = mockBackend();
+		mockOrigin('/about', PAGE);
+
+		const html = await (await fetchWorker(`${SITE}/es/about`, env)).text();
+
+		expect(html).toContain('<title>Hi &amp; bye</title>');
+		expect(html).toContain('<style id="__ALTIFIED_BLUR__">');
+		expect(html).toContain('<script id="__ALTIFIED_AUTO_TRANSLATE__">');
+		expect(calls).toHaveLength(0);
 
-	it('responds with Hello World! (integration style)', async () => {
-		const response = await SELF.fetch('http://example.com');
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+		// Template literal escapes are easy to get wrong: every injected script has to parse
+		for (const script of getInlineScripts(html)) {
+			expect(() => new Function(script)).not.toThrow();
+		}
 	});
 });
@@ -0,0 +1,90 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setupFetchMock, mockBackend, mockOrigin, fetchWorker, SITE } from './helpers';
+
+const JSON_HEADERS = { 'content-type': 'application/json; charset=utf-8' };
+
+const jsonEnv = {
+	...env,
+	JSON_TRANSLATION_RULES: JSON.stringify({
+		'/api/products*': ['$.items[*].title', "$.meta['page title']", '$..summary', '$.highlights[-1]', 'items.sku'],
+		'/api/pages/*/content': '$.body',
+	}),
+};
+
+const PRODUCTS = {
+	items: [
+		{ title: 'Red shoe', sku: 'RS-1', tags: ['new'] },
+		{ title: 'Blue shoe', sku: 'BS-2', tags: ['sale'] },
+	],
+	meta: { 'page title': 'All shoes', note: 'Updated daily' },
+	reviews: { latest: { summary: 'Great fit' }, list: [{ summary: 'Too small', author: 'Ann' }] },
+	highlights: ['First pick', 'Last pick'],
+};
+
+async function getJson(path) {
+	const response = await fetchWorker(`${SITE}${path}`, jsonEnv);
+	return { response, data: await response.json() };
+}
+
+beforeEach(setupFetchMock);
+
+describe('JSON API translation', () => {
+	it('translates the fields selected by the rules of the route', async () => {
+		const calls = mockBackend();
+		mockOrigin('/api/products?page=2', JSON.stringify(PRODUCTS), { headers: JSON_HEADERS });
+
+		const { response, data } = await getJson('/es/api/products?page=2');
+
+		expect(response.headers.get('Content-Language')).toBe('es');
+		expect(data).toEqual({
+			items: [
+				{ title: 'RED SHOE', sku: 'RS-1', tags: ['new'] },
+				{ title: 'BLUE SHOE', sku: 'BS-2', tags: ['sale'] },
+			],
+			meta: { 'page title': 'ALL SHOES', note: 'Updated daily' },
+			reviews: { latest: { summary: 'GREAT FIT' }, list: [{ summary: 'TOO SMALL', author: 'Ann' }] },
+			highlights: ['First pick', 'LAST PICK'],
+		});
+		// Invalid rules ("items.sku" lacks "$") select nothing
+		expect(calls.flatMap((call) => call.texts).sort()).toEqual([
+			'All shoes',
+			'Blue shoe',
+			'Great fit',
+			'Last pick',
+			'Red shoe',
+			'Too small',
+		]);
+	});
+
+	it('matches "*" in a route across path segments', async () => {
+		mockBackend();
+		mockOrigin('/api/pages/help/faq/content', JSON.stringify({ body: 'How to order', id: 'faq' }), { headers: JSON_HEADERS });
+
+		const { data } = await getJson('/es/api/pages/help/faq/content');
+
+		expect(data).toEqual({ body: 'HOW TO ORDER', id: 'faq' });
+	});
+
+	it('passes JSON through unchanged on routes without rules', async () => {
+		const calls = mockBackend();
+		const body = '{ "title": "Order placed",\n  "total": 42 }';
+		mockOrigin('/api/orders', body, { headers: JSON_HEADERS });
+
+		const response = await fetchWorker(`${SITE}/es/api/orders`, jsonEnv);
+
+		expect(await response.text()).toBe(body);
+		expect(response.headers.get('Content-Language')).toBeNull();
+		expect(calls).toHaveLength(0);
+	});
+
+	it('returns bodies that are not valid JSON as they are', async () => {
+		mockBackend();
+		mockOrigin('/api/products', '{ "items": [', { headers: JSON_HEADERS });
+
+		const response = await fetchWorker(`${SITE}/es/api/products`, jsonEnv);
+
+		expect(response.status).toBe(200);
+		expect(await response.text()).toBe('{ "items": [');
+	});
+});
@@ -0,0 +1,111 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setupFetchMock, mockBackend, mockOrigin, fetchWorker, getInlineScripts, SITE } from './helpers';
+
+const PAGE = '<html><head><title>About</title></head><body><p>About us</p></body></html>';
+
+// A browser loading a page
+function visit(path, headers = {}, workerEnv = env) {
+	return fetchWorker(`${SITE}${path}`, workerEnv, {
+		redirect: 'manual',
+		headers: { Accept: 'text/html,application/xhtml+xml', 'User-Agent': 'Mozilla/5.0 Firefox/131.0', ...headers },
+	});
+}
+
+beforeEach(setupFetchMock);
+
+describe('language negotiation', () => {
+	it('redirects to the preferred language', async () => {
+		mockBackend();
+
+		const response = await visit('/about?ref=mail', { 'Accept-Language': 'es-MX,es;q=0.9,en;q=0.8' });
+
+		expect(response.status).toBe(302);
+		expect(response.headers.get('Location')).toBe('/es/about?ref=mail');
+		expect(response.headers.get('Vary')).toBe('Accept-Language, Cookie');
+		expect(response.headers.get('Cache-Control')).toBe('private, max-age=0');
+	});
+
+	it('follows the weights of Accept-Language', async () => {
+		mockBackend();
+
+		const response = await visit('/about', { 'Accept-Language': 'fr;q=1, de;q=0.5, es;q=0.8, en;q=0.1' });
+
+		expect(response.headers.get('Location')).toBe('/es/about');
+	});
+
+	it('lets the cookie win over Accept-Language', async () => {
+		mockBackend();
+		mockOrigin('/about', PAGE);
+
+		const stay = await visit('/about', { 'Accept-Language': 'es', Cookie: 'theme=dark; altified_lang=en' });
+		const move = await visit('/about', { 'Accept-Language': 'es', Cookie: 'altified_lang=de' });
+
+		expect(stay.status).toBe(200);
+		expect(stay.headers.get('Vary')).toContain('Accept-Language');
+		expect(stay.headers.get('Vary')).toContain('Cookie');
+		expect(move.headers.get('Location')).toBe('/de/about');
+	});
+
+	it('never redirects bots, assets or opted-out requests', async () => {
+		mockBackend();
+		mockOrigin('/about', PAGE);
+		mockOrigin('/about?altified_redirect=0', PAGE);
+		mockOrigin('/account/orders', PAGE);
+		mockOrigin('/logo.png', 'PNG', { headers: { 'content-type': 'image/png' } });
+
+		const bot = await visit('/about', { 'Accept-Language': 'es', 'User-Agent': 'Mozilla/5.0 (compatible; Googlebot/2.1)' });
+		const image = await visit('/logo.png', { 'Accept-Language': 'es', Accept: 'image/avif,image/*' });
+		const param = await visit('/about?altified_redirect=0', { 'Accept-Language': 'es' });
+		const excluded = await visit('/account/orders', { 'Accept-Language': 'es' }, { ...env, AUTO_REDIRECT_EXCLUDE: '/account' });
+		const disabled = await visit('/about', { 'Accept-Language': 'es' }, { ...env, AUTO_REDIRECT: 'false' });
+
+		[bot, image, param, excluded, disabled].forEach((response) => expect(response.status).toBe(200));
+		expect(bot.headers.get('Vary')).toBeNull();
+	});
+});
+
+describe('language switcher choice', () => {
+	it('links to every language with the choice parameter', async () => {
+		mockBackend();
+		mockOrigin('/about', PAGE);
+
+		const html = await (await visit('/about')).text();
+
+		expect(html).toContain('<a href="/es/about?altified_lang=es" hreflang="es"');
+		expect(html).toContain('<a href="/about?altified_lang=en" hreflang="en"');
+		getInlineScripts(html).forEach((script) => expect(() => new Function(script)).not.toThrow());
+	});
+
+	it('stores the choice in a cookie without JavaScript and drops the parameter', async () => {
+		mockBackend();
+
+		const response = await visit('/about?altified_lang=en&ref=mail', { 'Accept-Language': 'es' });
+
+		expect(response.status).toBe(302);
+		expect(response.headers.get('Location')).toBe('/about?ref=mail');
+		expect(response.headers.get('Set-Cookie')).toBe(`altified_lang=en; path=/; max-age=${86400 * 365}; samesite=lax`);
+		expect(response.headers.get('Cache-Control')).toBe('private, no-store');
+	});
+
+	it('keeps the default language once chosen', async () => {
+		mockBackend();
+		mockOrigin('/about', PAGE);
+
+		const choice = await visit('/about?altified_lang=en', { 'Accept-Language': 'es' });
+		const cookie = choice.headers.get('Set-Cookie').split(';')[0];
+		const next = await visit(choice.headers.get('Location'), { 'Accept-Language': 'es', Cookie: cookie });
+
+		expect(next.status).toBe(200);
+	});
+
+	it('ignores unknown languages', async () => {
+		mockBackend();
+		mockOrigin('/about?altified_lang=xx', PAGE);
+
+		const response = await visit('/about?altified_lang=xx');
+
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Set-Cookie')).toBeNull();
+	});
+});
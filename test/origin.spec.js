@@ -0,0 +1,76 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setupFetchMock, mockBackend, mockOrigin, fetchWorker, SITE } from './helpers';
+
+const PAGE = '<html><head></head><body><p>Hello</p></body></html>';
+
+beforeEach(setupFetchMock);
+
+describe('origin requests', () => {
+	it('keeps the trailing slash of the requested path', async () => {
+		mockBackend();
+		const origin = mockOrigin('/blog/', PAGE);
+
+		const response = await fetchWorker(`${SITE}/es/blog/`, env);
+
+		expect(response.status).toBe(200);
+		expect(origin).toHaveLength(1);
+	});
+});
+
+describe('origin redirects and cookies', () => {
+	it('points redirects to the language route', async () => {
+		mockBackend();
+		mockOrigin('/old', '', { status: 301, headers: { Location: '/new?ref=1' } });
+		mockOrigin('/account', '', { status: 302, headers: { Location: `${SITE}/login` } });
+
+		const relative = await fetchWorker(`${SITE}/es/old`, env, { redirect: 'manual' });
+		const absolute = await fetchWorker(`${SITE}/es/account`, env, { redirect: 'manual' });
+
+		expect(relative.status).toBe(301);
+		expect(relative.headers.get('Location')).toBe('/es/new?ref=1');
+		expect(absolute.headers.get('Location')).toBe(`${SITE}/es/login`);
+	});
+
+	it('leaves redirects to other sites and assets alone', async () => {
+		mockBackend();
+		mockOrigin('/pay', '', { status: 302, headers: { Location: 'https://payments.example/checkout' } });
+		mockOrigin('/logo', '', { status: 302, headers: { Location: '/images/logo.png' } });
+
+		const external = await fetchWorker(`${SITE}/es/pay`, env, { redirect: 'manual' });
+		const asset = await fetchWorker(`${SITE}/es/logo`, env, { redirect: 'manual' });
+
+		expect(external.headers.get('Location')).toBe('https://payments.example/checkout');
+		expect(asset.headers.get('Location')).toBe('/images/logo.png');
+	});
+
+	it('rewrites Refresh targets', async () => {
+		mockBackend();
+		mockOrigin('/moved', PAGE, { headers: { 'Content-Type': 'text/html', Refresh: '5; url=/contact' } });
+
+		const response = await fetchWorker(`${SITE}/es/moved`, env);
+
+		expect(response.headers.get('Refresh')).toBe('5; url=/es/contact');
+	});
+
+	it('moves page-scoped cookies to the language path', async () => {
+		mockBackend();
+		mockOrigin('/shop', PAGE, {
+			headers: { 'Content-Type': 'text/html', 'Set-Cookie': ['cart=1; Path=/shop; HttpOnly', 'session=abc; Path=/'] },
+		});
+
+		const response = await fetchWorker(`${SITE}/es/shop`, env);
+
+		expect(response.headers.getSetCookie()).toEqual(['cart=1; Path=/es/shop; HttpOnly', 'session=abc; Path=/']);
+	});
+
+	it('translates error pages', async () => {
+		mockBackend();
+		mockOrigin('/missing', PAGE, { status: 404 });
+
+		const response = await fetchWorker(`${SITE}/es/missing`, { ...env, TRANSLATION_MODE: 'edge' });
+
+		expect(response.status).toBe(404);
+		expect(await response.text()).toContain('<p>HELLO</p>');
+	});
+});
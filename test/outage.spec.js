@@ -0,0 +1,79 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { setupFetchMock, mockBackend, mockOrigin, fetchWorker, PROJECT_CONFIG, SITE } from './helpers';
+
+const PAGE = '<html><head></head><body><p>Hello</p></body></html>';
+
+// Project config that can go down mid-test, with the number of requests it received
+function mockFlakyConfig() {
+	const config = { up: true, calls: 0 };
+	mockBackend({
+		config: () => {
+			config.calls++;
+			return config.up ? { statusCode: 200, data: PROJECT_CONFIG } : { statusCode: 503, data: 'Unavailable' };
+		},
+	});
+	return config;
+}
+
+// Drops the cached config (not the last good copy) as if its hour had passed
+function expireConfig() {
+	return caches.default.delete(new Request(`https://cache.internal/project_config_${env.ALTIFIED_API_KEY}`));
+}
+
+async function visit(path) {
+	const response = await fetchWorker(`${SITE}${path}`, env);
+	await response.text();
+	return response;
+}
+
+beforeEach(() => {
+	setupFetchMock();
+	vi.useFakeTimers({ toFake: ['Date'] });
+	vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+});
+
+afterEach(() => {
+	vi.useRealTimers();
+});
+
+describe('backend outage', () => {
+	it('keeps serving language routes with the last good config', async () => {
+		const config = mockFlakyConfig();
+		mockOrigin('/page', PAGE);
+
+		expect((await visit('/es/page')).headers.get('Content-Language')).toBe('es');
+
+		config.up = false;
+		await expireConfig();
+		const response = await visit('/es/page');
+
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Content-Language')).toBe('es');
+		// The first attempt and two retries
+		expect(config.calls).toBe(4);
+	});
+
+	it('stops calling the API after repeated failures until the cooldown is over', async () => {
+		const config = mockFlakyConfig();
+		mockOrigin('/page', PAGE);
+
+		await visit('/es/page');
+		config.up = false;
+		await expireConfig();
+		for (let i = 0; i < 5; i++) {
+			await visit('/es/page');
+		}
+		expect(config.calls).toBe(1 + 5 * 3);
+
+		// Circuit open: no request to the API, the page still works
+		const response = await visit('/es/page');
+		expect(response.headers.get('Content-Language')).toBe('es');
+		expect(config.calls).toBe(16);
+
+		config.up = true;
+		vi.setSystemTime(new Date('2026-01-01T00:00:31Z'));
+		expect((await visit('/es/page')).headers.get('Content-Language')).toBe('es');
+		expect(config.calls).toBe(17);
+	});
+});
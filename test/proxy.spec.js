@@ -0,0 +1,87 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setupFetchMock, mockBackend, mockOrigin, fetchWorker, SITE } from './helpers';
+
+const ENDPOINT = `${SITE}/__altified/translate`;
+
+function post(body, headers = { Origin: SITE }) {
+	return { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) };
+}
+
+beforeEach(setupFetchMock);
+
+describe('translate proxy', () => {
+	it('forwards unique, trimmed texts with the project key', async () => {
+		const calls = mockBackend();
+
+		const response = await fetchWorker(ENDPOINT, env, post({ language: 'es', texts: ['Hello', 'Hello', ' Shoes ', '', 3] }));
+
+		expect(response.status).toBe(200);
+		expect(await response.json()).toEqual({
+			translations: [
+				{ original: 'Hello', translated: 'HELLO' },
+				{ original: 'Shoes', translated: 'SHOES' },
+			],
+		});
+		expect(calls).toEqual([{ project_api_key: env.ALTIFIED_API_KEY, language: 'es', texts: ['Hello', 'Shoes'] }]);
+	});
+
+	it('accepts a same-origin Referer without Origin', async () => {
+		mockBackend();
+
+		const response = await fetchWorker(ENDPOINT, env, post({ language: 'es', texts: ['Hello'] }, { Referer: `${SITE}/es/about` }));
+
+		expect(response.status).toBe(200);
+	});
+
+	it.each([
+		['a foreign Origin', { Origin: 'https://evil.example' }],
+		['a foreign Referer', { Origin: SITE, Referer: 'https://evil.example/page' }],
+		['neither Origin nor Referer', {}],
+	])('rejects requests with %s', async (_, headers) => {
+		const calls = mockBackend();
+
+		const response = await fetchWorker(ENDPOINT, env, post({ language: 'es', texts: ['Hello'] }, headers));
+
+		expect(response.status).toBe(403);
+		expect(calls).toHaveLength(0);
+	});
+
+	it('only accepts POST', async () => {
+		mockBackend();
+
+		const response = await fetchWorker(ENDPOINT, env, { headers: { Origin: SITE } });
+
+		expect(response.status).toBe(405);
+	});
+
+	it('rejects too many texts and oversized bodies', async () => {
+		const calls = mockBackend();
+
+		const tooMany = await fetchWorker(ENDPOINT, env, post({ language: 'es', texts: Array(101).fill('Hello') }));
+		const tooLarge = await fetchWorker(ENDPOINT, env, post({ language: 'es', texts: ['x'.repeat(300000)] }));
+
+		expect(tooMany.status).toBe(413);
+		expect(tooLarge.status).toBe(413);
+		expect(calls).toHaveLength(0);
+	});
+
+	it('rejects languages the project has not enabled', async () => {
+		mockBackend();
+
+		const response = await fetchWorker(ENDPOINT, env, post({ language: 'fr', texts: ['Hello'] }));
+
+		expect(response.status).toBe(400);
+	});
+
+	it('never puts the project key in served pages', async () => {
+		mockBackend();
+		mockOrigin('/about', '<html><head></head><body><p>Hello</p></body></html>');
+
+		const html = await (await fetchWorker(`${SITE}/es/about`, env)).text();
+
+		expect(html).toContain("fetch('/__altified/translate'");
+		expect(html).not.toContain(env.ALTIFIED_API_KEY);
+		expect(html).not.toContain('project_api_key');
+	});
+});
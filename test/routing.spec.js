@@ -0,0 +1,132 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setupFetchMock, mockBackend, mockOrigin, fetchWorker, SITE } from './helpers';
+
+const PAGE = `<html><head><title>About</title></head><body><a href="/contact">Contact</a><a href="${SITE}/shop">Shop</a></body></html>`;
+
+async function visit(url, workerEnv) {
+	const response = await fetchWorker(url, workerEnv, { redirect: 'manual' });
+	return { response, html: await response.text() };
+}
+
+function hreflang(lang, href) {
+	return `<link rel="alternate" hreflang="${lang}" href="${href}" />`;
+}
+
+beforeEach(setupFetchMock);
+
+describe('path routing', () => {
+	it('serves languages under a path prefix', async () => {
+		mockBackend();
+		const origin = mockOrigin('/about', PAGE);
+
+		const { response, html } = await visit(`${SITE}/de/about`, env);
+
+		expect(origin.map((request) => `${request.origin}${request.path}`)).toEqual([`${SITE}/about`]);
+		expect(response.headers.get('Content-Language')).toBe('de');
+		expect(html).toContain('<html lang="de">');
+		expect(html).toContain(`<a href="/de/contact">Contact</a><a href="${SITE}/de/shop">Shop</a>`);
+		expect(html).toContain(hreflang('en', `${SITE}/about`));
+		expect(html).toContain(hreflang('de', `${SITE}/de/about`));
+		expect(html).toContain(hreflang('x-default', `${SITE}/about`));
+	});
+});
+
+describe('subdomain routing', () => {
+	const subdomainEnv = { ...env, ROUTING_STRATEGY: 'subdomain' };
+
+	it('serves languages on subdomains of the default host', async () => {
+		mockBackend();
+		const origin = mockOrigin('/about', PAGE);
+
+		const { response, html } = await visit('https://es.luftshoes.com/about', subdomainEnv);
+
+		expect(origin.map((request) => `${request.origin}${request.path}`)).toEqual([`${SITE}/about`]);
+		expect(response.headers.get('Content-Language')).toBe('es');
+		expect(html).toContain('<a href="https://es.luftshoes.com/contact">Contact</a><a href="https://es.luftshoes.com/shop">Shop</a>');
+		expect(html).toContain(hreflang('en', `${SITE}/about`));
+		expect(html).toContain(hreflang('es', 'https://es.luftshoes.com/about'));
+		expect(html).toContain(hreflang('de', 'https://de.luftshoes.com/about'));
+	});
+
+	it('links the default host to the language subdomains', async () => {
+		mockBackend();
+		mockOrigin('/about', PAGE);
+
+		const { response, html } = await visit(`${SITE}/about`, subdomainEnv);
+
+		expect(response.headers.get('Content-Language')).toBeNull();
+		expect(html).toContain('<a href="/contact">Contact</a>');
+		expect(html).toContain('<a href="https://es.luftshoes.com/about?altified_lang=es" hreflang="es"');
+	});
+});
+
+describe('domain routing', () => {
+	const domainEnv = { ...env, ROUTING_STRATEGY: 'domain', ROUTING_DOMAINS: '{"es": "https://luftschuhe.es", "de": "luftschuhe.de"}' };
+
+	it('serves each language on its own domain', async () => {
+		mockBackend();
+		const origin = mockOrigin('/about', PAGE);
+
+		const { response, html } = await visit('https://luftschuhe.de/about', domainEnv);
+
+		expect(origin.map((request) => `${request.origin}${request.path}`)).toEqual([`${SITE}/about`]);
+		expect(response.headers.get('Content-Language')).toBe('de');
+		expect(html).toContain('<html lang="de">');
+		expect(html).toContain('<a href="https://luftschuhe.de/contact">Contact</a><a href="https://luftschuhe.de/shop">Shop</a>');
+		expect(html).toContain(hreflang('en', `${SITE}/about`));
+		expect(html).toContain(hreflang('es', 'https://luftschuhe.es/about'));
+		expect(html).toContain(hreflang('de', 'https://luftschuhe.de/about'));
+	});
+
+	it('ignores language prefixes on the default domain', async () => {
+		mockBackend();
+		mockOrigin('/de/about', PAGE);
+
+		const { response } = await visit(`${SITE}/de/about`, domainEnv);
+
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Content-Language')).toBeNull();
+	});
+});
+
+describe('regional codes and aliases', () => {
+	const config = { default_language: 'en', target_languages: ['es', 'pt-BR', 'zh-Hant'] };
+	const aliasEnv = { ...env, LANGUAGE_ALIASES: '{"br": "pt-BR"}' };
+
+	it('serves a language under its alias', async () => {
+		mockBackend({ config });
+		mockOrigin('/about', PAGE);
+
+		const { response, html } = await visit(`${SITE}/br/about`, aliasEnv);
+
+		expect(response.headers.get('Content-Language')).toBe('pt-BR');
+		expect(html).toContain('<html lang="pt-BR">');
+		expect(html).toContain('<a href="/br/contact">Contact</a>');
+		expect(html).toContain(hreflang('pt-BR', `${SITE}/br/about`));
+		expect(html).toContain(hreflang('zh-Hant', `${SITE}/zh-Hant/about`));
+	});
+
+	it('redirects other spellings to the canonical URL', async () => {
+		mockBackend({ config });
+
+		const alias = await visit(`${SITE}/pt-br/about?ref=1`, aliasEnv);
+		const upper = await visit(`${SITE}/PT-BR/about`, env);
+		const script = await visit(`${SITE}/ZH-hant/`, env);
+
+		expect(alias.response.status).toBe(301);
+		expect(alias.response.headers.get('Location')).toBe(`${SITE}/br/about?ref=1`);
+		expect(upper.response.headers.get('Location')).toBe(`${SITE}/pt-BR/about`);
+		expect(script.response.headers.get('Location')).toBe(`${SITE}/zh-Hant/`);
+	});
+
+	it('uses the alias as subdomain', async () => {
+		mockBackend({ config });
+		mockOrigin('/about', PAGE);
+
+		const { response, html } = await visit('https://br.luftshoes.com/about', { ...aliasEnv, ROUTING_STRATEGY: 'subdomain' });
+
+		expect(response.headers.get('Content-Language')).toBe('pt-BR');
+		expect(html).toContain(hreflang('pt-BR', 'https://br.luftshoes.com/about'));
+	});
+});
@@ -0,0 +1,97 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setupFetchMock, mockBackend, mockOrigin, fetchWorker, getInlineScripts, SITE } from './helpers';
+
+const edgeEnv = { ...env, TRANSLATION_MODE: 'edge' };
+
+const GERMAN = {
+	'Buy <x1>two</x1> and save <x2>20%</x2>': 'Spare <x2>20 %</x2> beim Kauf von <x1>zwei</x1>',
+	'Run <x1/> to <x2>install</x2> &lt;now&gt;': '<x2>Installiere</x2> &lt;jetzt&gt; mit <x1/>',
+	'Hello <x1>world</x1> again': 'Hallo <x1>Welt</x1> <x1>wieder</x1>',
+	'Made by <x1/> in <x2>Berlin</x2>': 'Hergestellt von <x1/> in <x2>Berlin</x2>',
+	'Hi <x1>there</x1>': 'Bye <x1>amigo</x1>',
+	Bye: 'Adios',
+};
+
+function translateToGerman(text) {
+	return GERMAN[text] ?? text.toUpperCase();
+}
+
+async function translatePage(body) {
+	mockOrigin('/page', `<html><head><title>Shop</title></head><body>${body}</body></html>`);
+	const html = await (await fetchWorker(`${SITE}/de/page`, edgeEnv)).text();
+	return html.replace(/<script[\s\S]*?<\/script>|<nav class="altified-switcher[\s\S]*?<\/nav>/g, '');
+}
+
+beforeEach(setupFetchMock);
+
+describe('sentence segments at the edge', () => {
+	it('translates a block with inline markup as one sentence', async () => {
+		const calls = mockBackend({ translate: translateToGerman });
+
+		const html = await translatePage('<p>Buy <strong>two</strong> and save <a href="/sale" title="Sale">20%</a></p>');
+
+		const sent = calls.flatMap((call) => call.texts);
+		expect(sent).toContain('Buy <x1>two</x1> and save <x2>20%</x2>');
+		expect(sent).not.toContain('two');
+		expect(sent).not.toContain('and save');
+		expect(html).toContain('<p>Spare <a href="/de/sale" title="SALE">20 %</a> beim Kauf von <strong>zwei</strong></p>');
+	});
+
+	it('keeps code, images and excluded elements as they are', async () => {
+		mockBackend({ translate: translateToGerman });
+
+		const html = await translatePage(
+			'<p>Run <code>npm i</code> to <b>install</b> &lt;now&gt;</p><p>Made by <span translate="no">Luft <i>GmbH</i></span> in <em>Berlin</em></p>',
+		);
+
+		expect(html).toContain('<p><b>Installiere</b> &lt;jetzt&gt; mit <code>npm i</code></p>');
+		expect(html).toContain('<p>Hergestellt von <span translate="no">Luft <i>GmbH</i></span> in <em>Berlin</em></p>');
+	});
+
+	it('falls back to one text node at a time when the tags cannot be mapped back', async () => {
+		const calls = mockBackend({ translate: translateToGerman });
+
+		const html = await translatePage('<p>Hello <em>world</em> again</p>');
+
+		expect(calls.flatMap((call) => call.texts)).toEqual(expect.arrayContaining(['Hello <x1>world</x1> again', 'Hello', 'world', 'again']));
+		expect(html).toContain('<p>HELLO <em>WORLD</em> AGAIN</p>');
+	});
+
+	it('does not translate a rebuilt block a second time', async () => {
+		mockBackend({ translate: translateToGerman });
+
+		const html = await translatePage('<p>Hi <b title="Greeting">there</b></p><div>Bye</div>');
+
+		expect(html).toContain('<p>Bye <b title="GREETING">amigo</b></p>');
+		expect(html).toContain('<div>Adios</div>');
+	});
+
+	it('leaves blocks with other content to per-node translation', async () => {
+		const calls = mockBackend({ translate: translateToGerman });
+
+		const html = await translatePage(
+			'<div>Intro <b>bold</b><p>Para</p></div><p>Single <a href="/x">link</a><!-- note --></p><p><a href="/y">Home</a></p>',
+		);
+
+		const sent = calls.flatMap((call) => call.texts);
+		expect(sent.some((text) => text.includes('<x'))).toBe(false);
+		expect(html).toContain('<div>INTRO <b>BOLD</b><p>PARA</p></div>');
+		expect(html).toContain('<p>SINGLE <a href="/de/x">LINK</a><!-- note --></p>');
+		expect(html).toContain('<p><a href="/de/y">HOME</a></p>');
+	});
+});
+
+describe('sentence segments in the browser', () => {
+	it('ships the same placeholder parser in the client script', async () => {
+		mockBackend();
+		mockOrigin('/page', '<html><head></head><body><p>Hello</p></body></html>');
+
+		const html = await (await fetchWorker(`${SITE}/de/page`, env)).text();
+		const script = getInlineScripts(html).find((source) => source.includes('function parseSegmentTranslation('));
+
+		expect(script).toBeDefined();
+		expect(() => new Function(script)).not.toThrow();
+		expect(script).toContain('"STRONG"');
+	});
+});
@@ -0,0 +1,93 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setupFetchMock, mockBackend, mockOrigin, fetchWorker, SITE } from './helpers';
+
+const XML = { 'content-type': 'application/xml; charset=utf-8' };
+
+const URLSET = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+<url>
+<xhtml:link rel="alternate" hreflang="en" href="${SITE}/about"/>
+<xhtml:link rel="alternate" hreflang="es" href="${SITE}/es/acerca"/>
+<loc>${SITE}/about</loc>
+</url>
+<url><loc>${SITE}/shop?page=2&amp;sort=new</loc></url>
+<url><loc>https://blog.example.com/post</loc></url>
+</urlset>`;
+
+const INDEX = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+<sitemap><loc>${SITE}/sitemap-pages.xml</loc></sitemap>
+</sitemapindex>`;
+
+function countHreflang(xml, lang) {
+	return xml.split(`hreflang="${lang}"`).length - 1;
+}
+
+beforeEach(setupFetchMock);
+
+describe('origin sitemap', () => {
+	it('adds the missing alternates of every url once', async () => {
+		mockBackend();
+		mockOrigin('/sitemap.xml', URLSET, { headers: XML });
+
+		const xml = await (await fetchWorker(`${SITE}/sitemap.xml`, env)).text();
+		const [about, shop, external] = xml.split('</url>');
+
+		expect(countHreflang(about, 'en')).toBe(1);
+		expect(countHreflang(about, 'es')).toBe(1);
+		expect(about).toContain(`href="${SITE}/es/acerca"`);
+		expect(about).toContain(`<xhtml:link rel="alternate" hreflang="de" href="${SITE}/de/about"/>`);
+		expect(about).toContain(`<xhtml:link rel="alternate" hreflang="x-default" href="${SITE}/about"/>`);
+
+		expect(shop).toContain(`<loc>${SITE}/shop?page=2&amp;sort=new</loc>`);
+		expect(shop).toContain(`hreflang="es" href="${SITE}/es/shop?page=2&amp;sort=new"`);
+		expect(shop).toContain(`hreflang="en" href="${SITE}/shop?page=2&amp;sort=new"`);
+
+		expect(external).not.toContain('hreflang');
+	});
+
+	it('leaves a sitemap index as it is', async () => {
+		mockBackend();
+		mockOrigin('/sitemap.xml', INDEX, { headers: XML });
+
+		const xml = await (await fetchWorker(`${SITE}/sitemap.xml`, env)).text();
+
+		expect(xml).toContain(`<sitemap><loc>${SITE}/sitemap-pages.xml</loc></sitemap>`);
+		expect(xml).not.toContain('hreflang');
+	});
+
+	it('passes through responses that are not XML', async () => {
+		mockBackend();
+		mockOrigin('/sitemap.xml', 'Not found', { status: 404, headers: { 'content-type': 'text/plain' } });
+
+		const response = await fetchWorker(`${SITE}/sitemap.xml`, env);
+
+		expect(response.status).toBe(404);
+		expect(await response.text()).toBe('Not found');
+	});
+});
+
+describe('translated sitemap', () => {
+	it('serves /es/sitemap.xml with the Spanish URLs', async () => {
+		mockBackend();
+		const origin = mockOrigin('/sitemap.xml', URLSET, { headers: XML });
+
+		const xml = await (await fetchWorker(`${SITE}/es/sitemap.xml`, env)).text();
+
+		expect(origin).toHaveLength(1);
+		expect(xml).toContain(`<loc>${SITE}/es/about</loc>`);
+		expect(xml).toContain(`<loc>${SITE}/es/shop?page=2&amp;sort=new</loc>`);
+		expect(xml).toContain('<loc>https://blog.example.com/post</loc>');
+		expect(countHreflang(xml.split('</url>')[0], 'es')).toBe(1);
+	});
+
+	it('points the child sitemaps of an index to their Spanish copies', async () => {
+		mockBackend();
+		mockOrigin('/sitemap_index.xml', INDEX, { headers: XML });
+
+		const xml = await (await fetchWorker(`${SITE}/es/sitemap_index.xml`, env)).text();
+
+		expect(xml).toContain(`<loc>${SITE}/es/sitemap-pages.xml</loc>`);
+	});
+});
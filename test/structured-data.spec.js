@@ -0,0 +1,75 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setupFetchMock, mockBackend, mockOrigin, fetchWorker, BACKEND, SITE } from './helpers';
+
+const PRODUCT = {
+	'@context': 'https://schema.org',
+	'@type': 'Product',
+	name: 'Running shoe',
+	description: 'Light and fast',
+	sku: 'RS-42',
+	url: `${SITE}/shoes/running`,
+	image: `${SITE}/images/running.jpg`,
+	offers: { '@type': 'Offer', price: '89.00', priceCurrency: 'EUR' },
+};
+
+const BREADCRUMBS = {
+	'@context': 'https://schema.org',
+	'@type': 'BreadcrumbList',
+	itemListElement: [
+		{ '@type': 'ListItem', position: 1, name: 'Shoes', item: `${SITE}/shoes` },
+		{ '@type': 'ListItem', position: 2, name: 'Running', item: { '@id': `${SITE}/shoes/running`, name: 'Running' } },
+		{ '@type': 'ListItem', position: 3, name: 'Partner', item: 'https://partner.example.com/shoes' },
+	],
+};
+
+function mockProductPage() {
+	const scripts = [PRODUCT, BREADCRUMBS].map((data) => `<script type="application/ld+json">${JSON.stringify(data)}</script>`).join('');
+	mockOrigin('/shoes/running', `<html><head><title>Running shoe</title>${scripts}</head><body><h1>Running shoe</h1></body></html>`);
+}
+
+async function getStructuredData(response) {
+	const html = await response.text();
+	return [...html.matchAll(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/g)].map((match) => JSON.parse(match[1]));
+}
+
+beforeEach(setupFetchMock);
+
+describe.each(['client', 'edge'])('structured data in %s mode', (mode) => {
+	it('translates the readable fields and nothing else', async () => {
+		mockBackend();
+		mockProductPage();
+
+		const [product, breadcrumbs] = await getStructuredData(
+			await fetchWorker(`${SITE}/es/shoes/running`, { ...env, TRANSLATION_MODE: mode }),
+		);
+
+		expect(product).toEqual({
+			...PRODUCT,
+			name: 'RUNNING SHOE',
+			description: 'LIGHT AND FAST',
+		});
+		expect(breadcrumbs.itemListElement).toEqual([
+			{ '@type': 'ListItem', position: 1, name: 'SHOES', item: `${SITE}/es/shoes` },
+			{ '@type': 'ListItem', position: 2, name: 'RUNNING', item: { '@id': `${SITE}/es/shoes/running`, name: 'RUNNING' } },
+			{ '@type': 'ListItem', position: 3, name: 'PARTNER', item: 'https://partner.example.com/shoes' },
+		]);
+	});
+});
+
+describe('structured data in client mode', () => {
+	it('serves the blocks untranslated after one failed attempt each', async () => {
+		mockBackend();
+		mockProductPage();
+		const calls = mockOrigin('/translate/', 'Unavailable', { status: 503, origin: BACKEND });
+
+		const response = await fetchWorker(`${SITE}/es/shoes/running`, env);
+		const [product, breadcrumbs] = await getStructuredData(response);
+
+		expect(response.status).toBe(200);
+		// One per block, without retries
+		expect(calls).toHaveLength(2);
+		expect(product).toEqual(PRODUCT);
+		expect(breadcrumbs.itemListElement[0]).toEqual({ '@type': 'ListItem', position: 1, name: 'Shoes', item: `${SITE}/es/shoes` });
+	});
+});